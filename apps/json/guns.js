@@ -1,2 +1,2 @@
-import "../src/proxyTypes"
+import "@hyp/proxyTypes"
 
@@ -1,11 +1,11 @@
-import { WorldObject } from './worldObject'
+import { createWorldObject } from './worldObject'
 
 export const SEND_RATE = 1 / 8;
 
 export class GameObject {
   constructor(sendRate = SEND_RATE, runSendState=true) {
     this.sendRate = sendRate;
-    this.root = new WorldObject();
+    this.root = createWorldObject();
 
     
     this.lastSent = 0;
@@ -24,10 +24,10 @@ export class GameObject {
     this._registeredCallbacks = [];
     
     // Extensibility hooks (can be overridden in subclasses)
-    this.beforeUpdateClient = () => {};
-    this.afterUpdateClient = () => {};
-    this.beforeUpdateServer = () => {};
-    this.afterUpdateServer = () => {};
+    this.beforeUpdateClient = (delta) => {};
+    this.afterUpdateClient = (delta) => {};
+    this.beforeUpdateServer = (delta) => {};
+    this.afterUpdateServer = (delta) => {};
     this.onOwnershipChanged = (oldOwner, newOwner) => {};
 
     // Allow custom lerp objects or easing via lerpConfig.
@@ -168,7 +168,7 @@ export class GameObject {
 
   updateStatePlayer(data) {
     if (world.isServer) { return; }
-    if (data.id === localUserId) {
+    if (data.id === this.localUserId) {
       this.state = data.state;
     }
   }
@@ -265,7 +265,7 @@ export class GameObject {
   } 
 
   // On the server, updateServer sends the current state.
-  updateServer() {
+  updateServer(delta) {
 
     if (this.sendRate <= 0.0 || this.lastSent < this.sendRate) { return; }
 
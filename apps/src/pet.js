@@ -67,7 +67,7 @@ export class FollowPet extends GameObject {
 
       this.addEventListener('updateStatePlayer', (state) => this.initState(state));
       this.addEventListener('updateState', (state) => this.initState(state));
-      this.addEventListener('leave', (event) => this.playerLeftLobby(e), false);
+      this.addEventListener('leave', (e) => this.playerLeftLobby(e), false);
       this.addEventListener('fixedUpdate', (delta) => this.updatePetClient(delta));
       this.addEventListener('objectMove', (event) => this.objectMoveEvent(event));
       this.onOwnershipChanged = this.changeOwnership;
@@ -92,7 +92,7 @@ export class FollowPet extends GameObject {
     } 
     console.log('player left lobby');
     if (e.player.networkId === this.ownerId) {
-      ownerId = null;
+      this.ownerId = null;
       this.emote = this.sitEmote;
       this.setState('emote', this.sitEmote);
       this.take(null);
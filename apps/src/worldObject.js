@@ -1,47 +1,65 @@
 // WorldObject.js
+
+/**
+ * The app, with nodes of its model reachable as properties by id
+ * @typedef {AppProxy & { avatar?: Hyperfy.Avatar }} WorldObjectProxy
+ */
+
+/**
+ * Wrap the app in a proxy that reads and writes the app's own properties,
+ * and falls back to app.get('<id>') for the nodes of its model
+ * @returns {WorldObjectProxy}
+ */
+export function createWorldObject() {
+  /** @type {ProxyHandler<object>} */
+  const handler = {
+    get(target, prop, receiver) {
+      // Coercion: if used as a primitive, return app.
+      if (prop === Symbol.toPrimitive || prop === 'valueOf' || prop === 'toString') {
+        return () => app;
+      }
+      // If app has an own property for this key, return it.
+      if (prop in app) {
+        return Reflect.get(app, prop);
+      }
+      // Otherwise, fallback to app.get('<prop>'). Nodes are looked up by
+      // string ids, so symbol keys have nothing to find
+      return typeof prop === 'string' ? app.get(prop) : undefined;
+    },
+    set(target, prop, value, receiver) {
+      // If app already has a property, assign directly.
+      if (prop in app) {
+        return Reflect.set(app, prop, value);
+      }
+      // Otherwise, if app has a setter function, use it.
+      const setter = Reflect.get(app, 'set');
+      if (typeof setter === 'function') {
+        setter.call(app, prop, value);
+        return true;
+      }
+      return false;
+    },
+    ownKeys(target) {
+      return Reflect.ownKeys(app);
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      let descriptor = Object.getOwnPropertyDescriptor(app, prop);
+      if (descriptor) {
+        return descriptor;
+      }
+      return {
+        configurable: true,
+        enumerable: true,
+        value: typeof prop === 'string' ? app.get(prop) : undefined
+      };
+    }
+  };
+
+  return /** @type {WorldObjectProxy} */ (new Proxy({}, handler));
+}
+
 export class WorldObject {
   constructor() {
-    return new Proxy({}, {
-      get(target, prop, receiver) {
-        // Coercion: if used as a primitive, return app.
-        if (prop === Symbol.toPrimitive || prop === 'valueOf' || prop === 'toString') {
-          return () => app;
-        }
-        // If app has an own property for this key, return it.
-        if (prop in app) {
-          return app[prop];
-        }
-        // Otherwise, fallback to app.get('<prop>')
-        return app.get(prop);
-      },
-      set(target, prop, value, receiver) {
-        // If app already has a property, assign directly.
-        if (prop in app) {
-          app[prop] = value;
-          return true;
-        }
-        // Otherwise, if app has a setter function, use it.
-        if (typeof app.set === 'function') {
-          app.set(prop, value);
-          return true;
-        }
-        return false;
-      },
-      ownKeys(target) {
-        return Reflect.ownKeys(app);
-      },
-      getOwnPropertyDescriptor(target, prop) {
-        let descriptor = Object.getOwnPropertyDescriptor(app, prop);
-        if (descriptor) {
-          return descriptor;
-        }
-        return {
-          configurable: true,
-          enumerable: true,
-          value: app.get(prop)
-        };
-      }
-    });
+    return createWorldObject();
   }
 }
-
@@ -1,955 +1,745 @@
 #!/usr/bin/env node
 import { program } from "commander";
 import fs from "node:fs";
-import { promises as fsPromises } from "node:fs";
 import path from "node:path";
 import chalk from "chalk";
-import { createHash } from "crypto";
 
-import { rollup } from "rollup";
-import manifestPlugin from "./rollupManifestPlugin.js";
+import { getAssetFileName } from "./assetRefs.js";
+import { toTsPaths } from "./rollupAliasPlugin.js";
+import { checkTypes } from "./checkTypes.js";
+import {
+  getSourceMapFileName,
+  originalPositionFor,
+  readSourceMap,
+} from "./sourceMaps.js";
+import {
+  VERSION,
+  bundleDirectories,
+  diffAppSnapshots,
+  extractHypFile,
+  extractHypToSource,
+  formatBytes,
+  getHypInfo,
+  getSignaturePath,
+  loadAppSnapshot,
+  packDirectory,
+  repairHypFile,
+  signHypFile,
+  unbundleHypKit,
+  verifyHypFile,
+  verifyHypSignature,
+} from "./hyp.js";
+import {
+  buildApps,
+  findAppSources,
+  findCheckSources,
+  lintApps,
+  loadAliases,
+  loadBudgets,
+  loadSandboxAllowlist,
+  packageApps,
+  parseJobs,
+  watchApps,
+  writeBuildReport,
+} from "./build.js";
+import { deployApps } from "./deploy.js";
+import { applyConfig, getAppOptions, loadConfig } from "./config.js";
+import {
+  BuildError,
+  DeployError,
+  ExtractError,
+  HypError,
+  PackError,
+} from "./errors.js";
 
-import Knex from "knex";
-
-// Add a function to connect to the database
-async function getDB(dbPath) {
-  return Knex({
-    client: "better-sqlite3",
-    connection: {
-      filename: dbPath,
-    },
-    useNullAsDefault: true,
-  });
-}
-
-// Package info
-const VERSION = "1.0.0";
-
-async function buildWithRollup(inputPath, outputPath, appDir) {
-  try {
-    // Create a rollup bundle with our custom plugin
-    const bundle = await rollup({
-      input: inputPath,
-      plugins: [manifestPlugin()],
-      onwarn(warning, warn) {
-        // Suppress certain warnings if needed
-        if (warning.code === "CIRCULAR_DEPENDENCY") return;
-        warn(warning);
-      },
-    });
-
-    // Generate the output
-    const { output } = await bundle.write({
-      file: outputPath,
-      format: "iife",
-      banner: "// Built with hyp-cli\nprops;",
-    });
-
-    // Close the bundle
-    await bundle.close();
-
-    // Check if we have a blueprint.json in the output assets
-    const blueprintAsset = output.find(
-      (asset) => asset.fileName === "blueprint.json" && asset.type === "asset"
-    );
-
-    if (blueprintAsset) {
-      // Parse the blueprint data to validate it
-      let blueprintData;
-      try {
-        blueprintData = JSON.parse(blueprintAsset.source);
-        console.log(
-          chalk.green("Successfully extracted manifest:"),
-          Object.keys(blueprintData).join(", ")
-        );
-      } catch (err) {
-        console.error(chalk.red("Failed to parse extracted manifest:"), err);
-        return { success: true, blueprint: null };
-      }
-
-      // Write the blueprint.json to the app directory
-      fs.writeFileSync(
-        path.join(appDir, "blueprint.json"),
-        blueprintAsset.source
-      );
-      console.log(chalk.green("Extracted manifest to blueprint.json"));
-
-      return {
-        success: true,
-        blueprint: blueprintData,
-      };
-    } else {
-      console.warn(chalk.yellow("No manifest found in script file"));
-      return { success: true, blueprint: null };
-    }
-  } catch (error) {
-    console.error(chalk.red("Rollup build error:"), error);
-    return { success: false, blueprint: null };
-  }
-}
+// Set up the CLI
+program
+  .name("hyp-cli")
+  .description("Command line tool for working with .hyp files")
+  .version(VERSION)
+  .option(
+    "--config <file>",
+    "Project config file (default: the closest hyp.config.js or hyp.config.json)"
+  );
 
-// Utility functions for buffer conversions
-function str2ab(str) {
-  const buf = new Uint8Array(str.length);
-  for (let i = 0; i < str.length; i++) {
-    buf[i] = str.charCodeAt(i);
+// Commands whose --output is a file, which the config's output dir doesn't set
+const FILE_OUTPUT_COMMANDS = new Set(["pack", "repair", "sign", "bundle"]);
+
+// Exit codes for the pipeline's errors by error code, so scripts running the
+// CLI can tell a failed build from a failed deploy. Other errors exit with 1
+const EXIT_CODES = {
+  BUILD_FAILED: 2,
+  PACK_FAILED: 3,
+  EXTRACT_FAILED: 4,
+  DEPLOY_FAILED: 5,
+};
+
+// Print why a command failed and exit with the code for the kind of failure.
+// The underlying error of a pipeline error is shown with --verbose
+function exitWithError(message, error, options = {}) {
+  if (!(error instanceof HypError)) {
+    console.error(chalk.red(message), error);
+    process.exit(1);
   }
-  return buf;
-}
-
-function ab2str(buf) {
-  return new TextDecoder().decode(buf);
-}
-
-// Function to calculate file hash
-async function hashFile(filePath) {
-  const data = await fsPromises.readFile(filePath);
-  const hash = createHash("sha256");
-  hash.update(data);
-  return hash.digest("hex");
-}
-
-// Helper function to get file extension
-function getFileExtension(filePath) {
-  return path.extname(filePath);
-}
 
-// Ensure directory exists
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+  console.error(chalk.red(`${message} ${error.message}`));
+  if (options.verbose && error.cause) {
+    console.error(error.cause);
   }
+  process.exit(EXIT_CODES[error.code] ?? 1);
 }
 
-// Store asset in the global assets folder
-async function storeAsset(sourcePath, globalAssetsDir, verbose = false) {
+// Apply the project config to the command about to run: its settings replace
+// the option defaults, and build and deploy get the per-app overrides
+program.hook("preAction", async (_, command) => {
+  let config;
   try {
-    // Check if source file exists
-    if (!fs.existsSync(sourcePath)) {
-      if (verbose) {
-        console.log(chalk.yellow(`Asset file not found: ${sourcePath}`));
-      }
-      return null;
-    }
-
-    // Read file content and generate hash
-    const hash = await hashFile(sourcePath);
-
-    // Get file extension
-    const ext = path.extname(sourcePath);
-
-    // Create new filename based on hash
-    const assetFilename = `${hash}${ext}`;
-    const destPath = path.join(globalAssetsDir, assetFilename);
+    config = await loadConfig(program.opts().config);
+  } catch (error) {
+    console.error(chalk.red(`Error reading config: ${error.message}`));
+    process.exit(1);
+  }
 
-    // Ensure global assets directory exists
-    ensureDir(globalAssetsDir);
+  applyConfig(
+    command,
+    {
+      appsDir: config.appsDir,
+      assetsDir: config.assetsDir,
+      namedAssets: config.assetsDir?.[0],
+      globalAssets: config.globalAssets,
+      assets: config.globalAssets,
+      cacheDir: config.cacheDir,
+      output: FILE_OUTPUT_COMMANDS.has(command.name())
+        ? undefined
+        : config.output,
+      packageDir: config.packageDir,
+      dbPath: config.dbPath,
+      aliases: config.aliases,
+      budgets: config.budgets,
+      forksFile: config.forksFile,
+    },
+    ["build", "deploy"].includes(command.name()) ? config.apps : undefined
+  );
+});
 
-    // Copy file if it doesn't already exist in the global assets folder
-    if (!fs.existsSync(destPath)) {
-      await fsPromises.copyFile(sourcePath, destPath);
-      if (verbose) {
-        console.log(
-          chalk.green(`Stored asset: ${sourcePath} → ${assetFilename}`)
+// Extract command
+program
+  .command("extract")
+  .description("Extract a .hyp file to a directory")
+  .argument("<file>", "Path to the .hyp file to extract")
+  .option(
+    "-o, --output <directory>",
+    'Output directory (default: "./build")',
+    "./build"
+  )
+  .option("-a, --assets <path>", "Global assets directory", "./assets")
+  .option(
+    "--as-source",
+    "Extract as a buildable source file with an inline manifest"
+  )
+  .option(
+    "--apps-dir <directory>",
+    "Apps directory to write the source file to (with --as-source)",
+    "./apps"
+  )
+  .option(
+    "--named-assets <directory>",
+    "Directory to copy named assets to (with --as-source)",
+    "./named-assets"
+  )
+  .option("-f, --force", "Overwrite existing source and asset files")
+  .option("-v, --verbose", "Show verbose output")
+  .action(async (file, options) => {
+    try {
+      if (options.asSource) {
+        await extractHypToSource(
+          file,
+          options.appsDir,
+          options.namedAssets,
+          options
         );
+        return;
       }
-    } else if (verbose) {
-      console.log(chalk.dim(`Asset already exists: ${assetFilename}`));
+      await extractHypFile(file, options.output, options.assets, options);
+    } catch (error) {
+      exitWithError("Error:", error, options);
     }
+  });
 
-    // Return asset info
-    return {
-      originalPath: sourcePath,
-      originalName: path.basename(sourcePath),
-      hash: hash,
-      filename: assetFilename,
-      extension: ext,
-    };
-  } catch (err) {
-    console.error(chalk.red(`Error storing asset ${sourcePath}:`), err.message);
-    return null;
-  }
-}
-
-function parseHypHeader(buffer, headerSize) {
-  // Read header
-  const headerBytes = new Uint8Array(buffer.slice(4, 4 + headerSize));
-
-  // Get string representation (may contain problematic characters)
-  const rawHeaderStr = ab2str(headerBytes);
-
-  // Fix the known problematic fields
-  const fixedHeaderStr = rawHeaderStr.replace(
-    /"(message\d*|emoji\d*)":"[^"]*"/g,
-    (match) => {
-      // Clean up any problematic characters in these specific fields
-      return match.replace(/[^\x20-\x7E]/g, "");
+program
+  .command("pack")
+  .description("Pack a directory into a .hyp file")
+  .argument(
+    "<directory>",
+    "Path to the directory containing blueprint.json and assets"
+  )
+  .option(
+    "-o, --output <file>",
+    "Output file path (default: based on app name)"
+  )
+  .option("-a, --assets <path>", "Global assets directory", "./assets")
+  .option(
+    "--compress <codec>",
+    "Compress asset payloads (gzip or brotli, not readable by stock Hyperfy)"
+  )
+  .option("-v, --verbose", "Show verbose output")
+  .action(async (directory, options) => {
+    try {
+      await packDirectory(directory, options.output, options.assets, options);
+    } catch (error) {
+      exitWithError("Error:", error, options);
     }
-  );
-
-  // Parse the fixed JSON
-  try {
-    return JSON.parse(fixedHeaderStr);
-  } catch (error) {
-    console.error("Still having JSON parsing issues:", error);
-    // More aggressive fallback: remove all non-ASCII characters
-    const ultraSafeStr = rawHeaderStr.replace(/[^\x20-\x7E]/g, "");
-    return JSON.parse(ultraSafeStr);
-  }
-}
-
-// Import function to extract .hyp file
-async function importApp(filePath) {
-  console.log(chalk.blue(`Reading file: ${filePath}`));
+  });
 
-  // Read file as Buffer
-  const buffer = await fsPromises.readFile(filePath);
-  const view = new DataView(
-    buffer.buffer,
-    buffer.byteOffset,
-    buffer.byteLength
-  );
+// Info command to display information about a .hyp file
+program
+  .command("info")
+  .description("Display information about a .hyp file")
+  .argument("<file>", "Path to the .hyp file")
+  .option("--json", "Output the information as JSON")
+  .action(async (file, options) => {
+    try {
+      // Validate input file
+      if (!file.endsWith(".hyp")) {
+        throw new ExtractError("File must have .hyp extension.", { file });
+      }
 
-  // Read header size (first 4 bytes)
-  const headerSize = view.getUint32(0, true);
-  console.log(chalk.dim(`Header size: ${headerSize} bytes`));
+      if (!fs.existsSync(file)) {
+        throw new ExtractError(`File not found: ${file}`, { file });
+      }
 
-  let header;
-  try {
-    const headerBytes = new Uint8Array(buffer.slice(4, 4 + headerSize));
-    header = JSON.parse(ab2str(headerBytes)); // this is the regular hyperfy way
-  } catch (error) {
-    // attempt to fix JSON
-    header = parseHypHeader(buffer, headerSize); // this replaces problematic characters
-  }
+      const info = await getHypInfo(file);
 
-  // Extract files
-  let position = 4 + headerSize;
-  const assets = [];
+      if (options.json) {
+        console.log(JSON.stringify(info, null, 2));
+        return;
+      }
 
-  for (const assetInfo of header.assets) {
-    const data = buffer.slice(position, position + assetInfo.size);
-    const fileName = assetInfo.url.split("/").pop();
+      // Display information
+      console.log(chalk.blue("\nApp Information:"));
+      console.log(chalk.bold("Name:"), info.app.name || "Unnamed");
 
-    assets.push({
-      type: assetInfo.type,
-      url: assetInfo.url,
-      fileName,
-      data,
-      size: assetInfo.size,
-      mime: assetInfo.mime,
-    });
+      if (info.app.model) {
+        console.log(chalk.bold("Model:"), info.app.model);
+      }
 
-    position += assetInfo.size;
-  }
+      if (info.app.script) {
+        console.log(chalk.bold("Script:"), info.app.script);
+      }
 
-  return {
-    blueprint: header.blueprint,
-    assets,
-  };
-}
+      console.log(chalk.bold("Locked:"), info.flags.locked ? "Yes" : "No");
+      console.log(
+        chalk.bold("Flags:"),
+        Object.entries(info.flags)
+          .filter(([flag]) => flag !== "locked")
+          .map(([flag, value]) => `${flag}=${value}`)
+          .join(", ")
+      );
 
-// Helper function to determine MIME type
-function getMimeType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    ".vrm": "model/vrm",
-    ".gltf": "model/gltf+json",
-    ".glb": "model/gltf-binary",
-    ".js": "application/javascript",
-    ".png": "image/png",
-    ".jpg": "image/jpeg",
-    ".jpeg": "image/jpeg",
-    ".gif": "image/gif",
-    ".webp": "image/webp",
-    ".mp3": "audio/mpeg",
-    ".wav": "audio/wav",
-    ".mp4": "video/mp4",
-    ".webm": "video/webm",
-  };
-
-  return mimeTypes[ext] || "application/octet-stream";
-}
+      if (info.props.length > 0) {
+        console.log(chalk.blue("\nProps:"));
+        for (const prop of info.props) {
+          console.log(`- ${chalk.bold(prop.key)} (${prop.type})`);
+        }
+      }
 
-async function extractHypFile(filePath, outputDir, globalAssetsDir, options) {
-  try {
-    // Validate input file
-    if (!filePath.endsWith(".hyp")) {
-      console.error(chalk.red("Error: File must have .hyp extension."));
-      process.exit(1);
-    }
+      console.log(chalk.blue("\nAssets:"));
+      for (const asset of info.assets) {
+        console.log(
+          `- ${chalk.bold(asset.url.split("/").pop())} (${asset.type}, ${asset.originalSize} bytes${asset.compression ? `, ${asset.compression} ${asset.size} bytes` : ""})`
+        );
+      }
 
-    if (!fs.existsSync(filePath)) {
-      console.error(chalk.red(`Error: File not found: ${filePath}`));
-      process.exit(1);
+      console.log(chalk.blue("\nSizes:"));
+      console.log(chalk.bold("File:"), formatBytes(info.sizes.file));
+      console.log(chalk.bold("Header:"), formatBytes(info.sizes.header));
+      console.log(chalk.bold("Payload:"), formatBytes(info.sizes.payload));
+      console.log(chalk.bold("Script:"), formatBytes(info.sizes.script));
+      for (const [type, entry] of Object.entries(info.sizes.byType)) {
+        console.log(
+          `- ${chalk.bold(type)}: ${entry.count} asset(s), ${formatBytes(entry.size)}`
+        );
+      }
+    } catch (error) {
+      exitWithError("Error reading .hyp file:", error, options);
     }
+  });
 
-    // Import and parse the .hyp file
-    const importedApp = await importApp(filePath);
-
-    // Get app name from blueprint or fallback to file name
-    const appName =
-      importedApp.blueprint.name || path.basename(filePath, ".hyp");
-    const appDir = path.join(outputDir, appName);
-
-    // Create directory structure
-    console.log(chalk.blue(`Creating directory: ${appDir}`));
-    fs.mkdirSync(appDir, { recursive: true });
-
-    // Ensure global assets directory exists
-    ensureDir(globalAssetsDir);
-
-    // Extract all assets to global assets folder and track them
-    console.log(chalk.blue("\nExtracting assets:"));
-    const extractedAssets = [];
-
-    for (const asset of importedApp.assets) {
-      // Write the asset to a temporary file
-      const tempAssetPath = path.join(appDir, asset.fileName);
-      await fsPromises.writeFile(tempAssetPath, asset.data);
-
-      // Store in global assets folder
-      const assetInfo = await storeAsset(
-        tempAssetPath,
-        globalAssetsDir,
-        options.verbose
-      );
+// Verify command to check the structural integrity of a .hyp file
+program
+  .command("verify")
+  .description(
+    "Check the structural integrity of a .hyp file or .hypkit bundle"
+  )
+  .argument("<file>", "Path to the .hyp or .hypkit file")
+  .action(async (file) => {
+    try {
+      if (!fs.existsSync(file)) {
+        throw new ExtractError(`File not found: ${file}`, { file });
+      }
 
-      if (assetInfo) {
-        extractedAssets.push({
-          ...assetInfo,
-          type: asset.type,
-          url: asset.url,
-          size: asset.size,
-          mime: asset.mime,
-        });
+      console.log(chalk.blue(`Verifying file: ${file}`));
+      const { errors, warnings, header, bundle } = await verifyHypFile(file);
 
+      if (header && bundle) {
+        const apps = Array.isArray(header.apps) ? header.apps : [];
         console.log(
-          chalk.green(`- ${asset.fileName}`) +
-            chalk.dim(
-              ` (${asset.type}, ${asset.size} bytes) → ${assetInfo.filename}`
-            )
+          chalk.dim(
+            `Bundle: ${apps.length} app(s) (${apps.map((app) => app?.name).join(", ")}), ${header.assets?.length ?? 0} asset(s)`
+          )
         );
+      } else if (header) {
+        console.log(
+          chalk.dim(
+            `App: ${header.blueprint?.name || "Unnamed"}, ${header.assets?.length ?? 0} asset(s)`
+          )
+        );
+      }
 
-        // Update blueprint references to use the new asset paths
-        if (asset.url === importedApp.blueprint.model) {
-          importedApp.blueprint.model = `asset://${assetInfo.filename}`;
-        }
-
-        if (asset.url === importedApp.blueprint.script) {
-          importedApp.blueprint.script = `asset://${assetInfo.filename}`;
-        }
-
-        if (
-          importedApp.blueprint.image &&
-          asset.url === importedApp.blueprint.image.url
-        ) {
-          importedApp.blueprint.image.url = `asset://${assetInfo.filename}`;
-        }
-
-        // Update props references
-        if (importedApp.blueprint.props) {
-          for (const key in importedApp.blueprint.props) {
-            if (
-              importedApp.blueprint.props[key] &&
-              importedApp.blueprint.props[key].url === asset.url
-            ) {
-              importedApp.blueprint.props[key].url =
-                `asset://${assetInfo.filename}`;
-            }
-          }
-        }
+      for (const warning of warnings) {
+        console.warn(chalk.yellow(`Warning: ${warning}`));
+      }
 
-        // Remove the temporary file
-        fs.unlinkSync(tempAssetPath);
+      for (const error of errors) {
+        console.error(chalk.red(`Error: ${error}`));
       }
-    }
 
-    // Save updated blueprint.json with new asset references
-    const blueprintPath = path.join(appDir, "blueprint.json");
-    fs.writeFileSync(
-      blueprintPath,
-      JSON.stringify(importedApp.blueprint, null, 2)
-    );
-    console.log(chalk.green(`Saved blueprint to: ${blueprintPath}`));
-
-    // Save app metadata with assets info
-    const metadataPath = path.join(appDir, "app-metadata.json");
-    fs.writeFileSync(
-      metadataPath,
-      JSON.stringify(
-        {
-          extractedAt: new Date().toISOString(),
-          source: filePath,
-          assets: extractedAssets,
-        },
-        null,
-        2
-      )
-    );
-    console.log(chalk.green(`Saved metadata to: ${metadataPath}`));
-
-    console.log(chalk.green(`\nApp successfully extracted to: ${appDir}`));
-    console.log(chalk.green(`Global assets stored in: ${globalAssetsDir}`));
-    return appDir;
-  } catch (error) {
-    console.error(chalk.red("Error extracting .hyp file:"), error);
-    process.exit(1);
-  }
-}
+      if (errors.length > 0) {
+        throw new ExtractError(
+          `Verification failed with ${errors.length} error(s)`,
+          { file, errors }
+        );
+      }
 
-// Export function to pack a directory into a .hyp file
-async function packDirectory(dirPath, outputPath, globalAssetsDir, options) {
-  try {
-    // Validate input directory
-    if (!fs.existsSync(dirPath)) {
-      console.error(chalk.red(`Error: Directory not found: ${dirPath}`));
-      process.exit(1);
+      console.log(chalk.green("\nFile verified successfully"));
+    } catch (error) {
+      exitWithError("Error verifying .hyp file:", error);
     }
+  });
 
-    if (!fs.statSync(dirPath).isDirectory()) {
-      console.error(chalk.red(`Error: ${dirPath} is not a directory.`));
-      process.exit(1);
-    }
+// Repair command to recover files written by the legacy header encoder
+program
+  .command("repair")
+  .description("Rewrite a .hyp file with a legacy-encoded header as UTF-8")
+  .argument("<file>", "Path to the .hyp file")
+  .option(
+    "-o, --output <file>",
+    "Output file path (default: <name>-repaired.hyp next to the input)"
+  )
+  .action(async (file, options) => {
+    try {
+      if (!fs.existsSync(file)) {
+        throw new ExtractError(`File not found: ${file}`, { file });
+      }
 
-    // Read the blueprint.json file
-    const blueprintPath = path.join(dirPath, "blueprint.json");
-    if (!fs.existsSync(blueprintPath)) {
-      console.error(chalk.red(`Error: blueprint.json not found in ${dirPath}`));
-      process.exit(1);
-    }
+      const outputPath =
+        options.output ||
+        path.join(
+          path.dirname(file),
+          `${path.basename(file, ".hyp")}-repaired.hyp`
+        );
 
-    const blueprintJson = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
-    console.log(
-      chalk.blue(`Loaded blueprint for: ${blueprintJson.name || "unnamed app"}`)
-    );
-
-    // Read metadata if available
-    const metadataPath = path.join(dirPath, "app-metadata.json");
-    let assetMapping = {};
-
-    if (fs.existsSync(metadataPath)) {
-      try {
-        const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf8"));
-        // Create a mapping from hashed filenames to original info
-        for (const asset of metadata.assets) {
-          assetMapping[asset.filename] = asset;
-        }
+      const { repaired, fields } = await repairHypFile(file, outputPath);
+      if (!repaired) {
         console.log(
-          chalk.blue(
-            `Loaded metadata with ${Object.keys(assetMapping).length} assets`
-          )
-        );
-      } catch (err) {
-        console.warn(
-          chalk.yellow(`Warning: Could not parse metadata file: ${err.message}`)
+          chalk.green("Header is already valid UTF-8, nothing to repair")
         );
+        return;
       }
-    }
 
-    // Find all assets mentioned in the blueprint
-    const assetPaths = [];
-
-    // Check for model
-    if (blueprintJson.model) {
-      const modelFileName = blueprintJson.model.replace("asset://", "");
-      const modelPath = path.join(globalAssetsDir, modelFileName);
-      if (fs.existsSync(modelPath)) {
-        assetPaths.push({
-          type: modelFileName.endsWith(".vrm") ? "avatar" : "model",
-          url: blueprintJson.model.replace(
-            modelFileName,
-            assetMapping[modelFileName]?.originalName || modelFileName
-          ),
-          path: modelPath,
-          originalName: assetMapping[modelFileName]?.originalName,
-        });
-      } else {
-        console.warn(
+      if (fields.length > 0) {
+        console.log(chalk.blue("\nRecovered text fields:"));
+        for (const { field, value } of fields) {
+          console.log(`- ${chalk.bold(field)}: ${JSON.stringify(value)}`);
+        }
+        console.log(
           chalk.yellow(
-            `Warning: Model file ${modelFileName} not found in global assets`
+            "\nLatin-1 characters are recovered exactly. Characters beyond Latin-1 (such as emoji or CJK) were truncated by the legacy encoder and should be checked."
           )
         );
       }
+
+      console.log(chalk.green(`\nRepaired file written to: ${outputPath}`));
+    } catch (error) {
+      exitWithError("Error repairing .hyp file:", error, options);
     }
+  });
 
-    // Check for script
-    if (blueprintJson.script) {
-      const scriptFileName = blueprintJson.script.replace("asset://", "");
-      const scriptPath = path.join(globalAssetsDir, scriptFileName);
-      if (fs.existsSync(scriptPath)) {
-        assetPaths.push({
-          type: "script",
-          url: blueprintJson.script.replace(
-            scriptFileName,
-            assetMapping[scriptFileName]?.originalName || scriptFileName
-          ),
-          path: scriptPath,
-          originalName: assetMapping[scriptFileName]?.originalName,
-        });
-      } else {
-        console.warn(
-          chalk.yellow(
-            `Warning: Script file ${scriptFileName} not found in global assets`
-          )
-        );
+// Diff command to compare two .hyp files or a .hyp file and an app directory
+program
+  .command("diff")
+  .description(
+    "Compare two .hyp files, or a .hyp file against a built app directory"
+  )
+  .argument("<a>", "Path to a .hyp file or built app directory")
+  .argument("<b>", "Path to a .hyp file or built app directory")
+  .option(
+    "-a, --assets <path>",
+    "Global assets directory (for app directories)",
+    "./assets"
+  )
+  .option("--json", "Output the differences as JSON")
+  .action(async (a, b, options) => {
+    try {
+      for (const target of [a, b]) {
+        if (!fs.existsSync(target)) {
+          throw new ExtractError(`Not found: ${target}`, { file: target });
+        }
       }
-    }
 
-    // Check for image
-    if (blueprintJson.image && blueprintJson.image.url) {
-      const imageFileName = blueprintJson.image.url.replace("asset://", "");
-      const imagePath = path.join(globalAssetsDir, imageFileName);
-      if (fs.existsSync(imagePath)) {
-        assetPaths.push({
-          type: "texture",
-          url: blueprintJson.image.url.replace(
-            imageFileName,
-            assetMapping[imageFileName]?.originalName || imageFileName
-          ),
-          path: imagePath,
-          originalName: assetMapping[imageFileName]?.originalName,
-        });
-      } else {
-        console.warn(
-          chalk.yellow(
-            `Warning: Image file ${imageFileName} not found in global assets`
-          )
-        );
+      const diff = diffAppSnapshots(
+        await loadAppSnapshot(a, options.assets),
+        await loadAppSnapshot(b, options.assets)
+      );
+
+      if (options.json) {
+        console.log(JSON.stringify({ a, b, ...diff }, null, 2));
+        return;
       }
-    }
 
-    // Check for props
-    if (blueprintJson.props) {
-      for (const key in blueprintJson.props) {
-        const value = blueprintJson.props[key];
-        if (value && value.url) {
-          const propFileName = value.url.replace("asset://", "");
-          const propPath = path.join(globalAssetsDir, propFileName);
-          if (fs.existsSync(propPath)) {
-            assetPaths.push({
-              type: value.type,
-              url: value.url.replace(
-                propFileName,
-                assetMapping[propFileName]?.originalName || propFileName
-              ),
-              path: propPath,
-              originalName: assetMapping[propFileName]?.originalName,
-            });
-          } else {
-            console.warn(
-              chalk.yellow(
-                `Warning: Prop file ${propFileName} not found in global assets`
-              )
-            );
-          }
+      console.log(chalk.blue(`Comparing ${a} → ${b}`));
+      if (diff.identical) {
+        console.log(chalk.green("\nNo differences"));
+        return;
+      }
+
+      const show = (value) => JSON.stringify(value) ?? "(none)";
+      const showAsset = (ref) =>
+        `${ref.url} (${ref.hash ? ref.hash.slice(0, 12) : "missing"}, ${ref.size ?? "?"} bytes)`;
+
+      if (diff.fields.length > 0) {
+        console.log(chalk.blue("\nBlueprint:"));
+        for (const { field, from, to } of diff.fields) {
+          console.log(chalk.yellow(`~ ${field}: ${show(from)} → ${show(to)}`));
         }
       }
-    }
 
-    // Read asset files and create header
-    const assets = [];
-    console.log(chalk.blue("\nCollecting assets:"));
+      const { props } = diff;
+      if (props.added.length + props.removed.length + props.changed.length) {
+        console.log(chalk.blue("\nProps:"));
+        for (const key of props.added) console.log(chalk.green(`+ ${key}`));
+        for (const key of props.removed) console.log(chalk.red(`- ${key}`));
+        for (const { key, from, to } of props.changed) {
+          console.log(chalk.yellow(`~ ${key}: ${show(from)} → ${show(to)}`));
+        }
+      }
 
-    for (const assetInfo of assetPaths) {
-      const data = await fsPromises.readFile(assetInfo.path);
-      const stat = fs.statSync(assetInfo.path);
+      const { assets } = diff;
+      if (assets.added.length + assets.removed.length + assets.changed.length) {
+        console.log(chalk.blue("\nAssets:"));
+        for (const ref of assets.added) {
+          console.log(chalk.green(`+ ${ref.field}: ${showAsset(ref)}`));
+        }
+        for (const ref of assets.removed) {
+          console.log(chalk.red(`- ${ref.field}: ${showAsset(ref)}`));
+        }
+        for (const { field, from, to } of assets.changed) {
+          console.log(
+            chalk.yellow(`~ ${field}: ${showAsset(from)} → ${showAsset(to)}`)
+          );
+        }
+      }
+    } catch (error) {
+      exitWithError("Error comparing apps:", error, options);
+    }
+  });
 
-      // If we're using original names in the .hyp file, prepare the name to show
-      const displayName =
-        assetInfo.originalName || path.basename(assetInfo.path);
+// Sign command to create a detached signature for a .hyp file
+program
+  .command("sign")
+  .description("Sign a .hyp file with an Ed25519 private key")
+  .argument("<file>", "Path to the .hyp file")
+  .requiredOption(
+    "-k, --key <path>",
+    "Ed25519 private key in PEM format (e.g. from `openssl genpkey -algorithm ed25519`)"
+  )
+  .option("--signer <name>", "Name of the signing studio (see forks.json)")
+  .option("-o, --output <file>", "Signature file path (default: <file>.sig)")
+  .action(async (file, options) => {
+    try {
+      for (const target of [file, options.key]) {
+        if (!fs.existsSync(target)) {
+          throw new HypError(`File not found: ${target}`, { file: target });
+        }
+      }
 
-      console.log(
-        chalk.green(`- ${displayName}`) +
-          chalk.dim(` (${assetInfo.type}, ${stat.size} bytes)`)
+      const signatureData = await signHypFile(
+        file,
+        fs.readFileSync(options.key, "utf8"),
+        options.signer
       );
+      const signaturePath = options.output || getSignaturePath(file);
+      fs.writeFileSync(signaturePath, JSON.stringify(signatureData, null, 2));
 
-      assets.push({
-        type: assetInfo.type,
-        url: assetInfo.url,
-        data: data,
-        size: stat.size,
-        mime: getMimeType(assetInfo.path),
-      });
+      console.log(chalk.green(`Signed ${file}`));
+      console.log(chalk.dim(`SHA-256: ${signatureData.fileHash}`));
+      console.log(chalk.green(`Signature written to: ${signaturePath}`));
+    } catch (error) {
+      exitWithError("Error signing .hyp file:", error, options);
     }
+  });
 
-    // Create a version of blueprintJson with original asset paths
-    const packedBlueprint = JSON.parse(JSON.stringify(blueprintJson));
-
-    // Restore original paths for packaging
-    if (packedBlueprint.model && packedBlueprint.model.startsWith("asset://")) {
-      const modelFileName = packedBlueprint.model.replace("asset://", "");
-      if (assetMapping[modelFileName]) {
-        packedBlueprint.model = `asset://${assetMapping[modelFileName].originalName}`;
+// Verify-signature command to check a .hyp file against a trusted public key
+program
+  .command("verify-signature")
+  .description("Verify a .hyp file's signature with an Ed25519 public key")
+  .argument("<file>", "Path to the .hyp file")
+  .requiredOption("--pubkey <path>", "Trusted Ed25519 public key in PEM format")
+  .option("-s, --signature <path>", "Signature file path (default: <file>.sig)")
+  .action(async (file, options) => {
+    try {
+      const signaturePath = options.signature || getSignaturePath(file);
+      for (const target of [file, options.pubkey, signaturePath]) {
+        if (!fs.existsSync(target)) {
+          throw new HypError(`File not found: ${target}`, { file: target });
+        }
       }
-    }
 
-    if (
-      packedBlueprint.script &&
-      packedBlueprint.script.startsWith("asset://")
-    ) {
-      const scriptFileName = packedBlueprint.script.replace("asset://", "");
-      if (assetMapping[scriptFileName]) {
-        packedBlueprint.script = `asset://${assetMapping[scriptFileName].originalName}`;
+      const signatureData = JSON.parse(fs.readFileSync(signaturePath, "utf8"));
+      const { valid, reason } = await verifyHypSignature(
+        file,
+        signatureData,
+        fs.readFileSync(options.pubkey, "utf8")
+      );
+
+      if (!valid) {
+        throw new HypError(`Signature verification failed: ${reason}`, {
+          file,
+        });
       }
-    }
 
-    if (
-      packedBlueprint.image &&
-      packedBlueprint.image.url &&
-      packedBlueprint.image.url.startsWith("asset://")
-    ) {
-      const imageFileName = packedBlueprint.image.url.replace("asset://", "");
-      if (assetMapping[imageFileName]) {
-        packedBlueprint.image.url = `asset://${assetMapping[imageFileName].originalName}`;
+      console.log(chalk.green(`Signature is valid for ${file}`));
+      if (signatureData.signer) {
+        console.log(chalk.bold("Signer:"), signatureData.signer);
       }
+      console.log(chalk.bold("Signed at:"), signatureData.signedAt);
+    } catch (error) {
+      exitWithError("Error verifying signature:", error, options);
     }
+  });
 
-    if (packedBlueprint.props) {
-      for (const key in packedBlueprint.props) {
-        const value = packedBlueprint.props[key];
-        if (value && value.url && value.url.startsWith("asset://")) {
-          const propFileName = value.url.replace("asset://", "");
-          if (assetMapping[propFileName]) {
-            packedBlueprint.props[key].url =
-              `asset://${assetMapping[propFileName].originalName}`;
-          }
+// Bundle command to ship several apps in one .hypkit file
+program
+  .command("bundle")
+  .description("Bundle built app directories into a .hypkit file")
+  .argument(
+    "<directories...>",
+    "App directories containing blueprint.json and app-metadata.json"
+  )
+  .requiredOption("-o, --output <file>", "Output .hypkit file path")
+  .option("-a, --assets <path>", "Global assets directory", "./assets")
+  .option("--compress <codec>", "Compress asset payloads (gzip or brotli)")
+  .action(async (directories, options) => {
+    try {
+      for (const directory of directories) {
+        if (!fs.existsSync(directory)) {
+          throw new PackError(`Directory not found: ${directory}`, {
+            dir: directory,
+          });
         }
       }
-    }
 
-    // Create header structure
-    const header = {
-      blueprint: packedBlueprint,
-      assets: assets.map((asset) => ({
-        type: asset.type,
-        url: asset.url,
-        size: asset.size,
-        mime: asset.mime,
-      })),
-    };
-
-    // Convert header to bytes
-    const headerBytes = str2ab(JSON.stringify(header));
-
-    // Create header size prefix (4 bytes)
-    const headerSize = new Uint8Array(4);
-    new DataView(headerSize.buffer).setUint32(0, headerBytes.length, true);
-
-    // Determine output filename
-    if (!outputPath) {
-      outputPath = path.join(
-        process.cwd(),
-        `${packedBlueprint.name || "app"}.hyp`
-      );
-    } else if (
-      fs.existsSync(outputPath) &&
-      fs.statSync(outputPath).isDirectory()
-    ) {
-      outputPath = path.join(
-        outputPath,
-        `${packedBlueprint.name || "app"}.hyp`
+      const { outputPath, apps, assetCount } = await bundleDirectories(
+        directories,
+        options.output,
+        options.assets,
+        options
       );
-    }
 
-    // Create an array of all the binary data we need to write
-    const fileData = [headerSize, headerBytes];
-    for (const asset of assets) {
-      fileData.push(new Uint8Array(asset.data));
+      console.log(
+        chalk.green(
+          `\nCreated bundle: ${outputPath} (${apps.length} app(s), ${assetCount} unique asset(s))`
+        )
+      );
+    } catch (error) {
+      exitWithError("Error creating bundle:", error, options);
     }
+  });
 
-    // Write the file
-    await fsPromises.writeFile(
-      outputPath,
-      Buffer.concat(fileData.map((item) => Buffer.from(item)))
-    );
+// Unbundle command to extract the apps in a .hypkit file
+program
+  .command("unbundle")
+  .description("Extract the apps in a .hypkit file to app directories")
+  .argument("<file>", "Path to the .hypkit file")
+  .argument("[app-names...]", "Apps to extract (omit to extract all apps)")
+  .option("-o, --output <directory>", "Output directory", "./build")
+  .option("-a, --assets <path>", "Global assets directory", "./assets")
+  .action(async (file, appNames, options) => {
+    try {
+      if (!fs.existsSync(file)) {
+        throw new ExtractError(`File not found: ${file}`, { file });
+      }
 
-    console.log(chalk.green(`\nCreated .hyp file: ${outputPath}`));
-    return outputPath;
-  } catch (error) {
-    console.error(chalk.red("Error packing directory:"), error);
-    process.exit(1);
-  }
-}
+      const apps = await unbundleHypKit(file, options.output, options.assets, {
+        names: appNames,
+      });
 
-// Set up the CLI
-program
-  .name("hyp-cli")
-  .description("Command line tool for working with .hyp files")
-  .version(VERSION);
+      console.log(
+        chalk.green(`\nExtracted ${apps.length} app(s) to: ${options.output}`)
+      );
+      console.log(chalk.green(`Global assets stored in: ${options.assets}`));
+    } catch (error) {
+      exitWithError("Error extracting bundle:", error, options);
+    }
+  });
 
-// Extract command
+// Add default command behavior
 program
-  .command("extract")
-  .description("Extract a .hyp file to a directory")
-  .argument("<file>", "Path to the .hyp file to extract")
-  .option(
-    "-o, --output <directory>",
-    'Output directory (default: "./build")',
-    "./build"
+  .argument(
+    "[command]",
+    "Command to run (extract, pack, info, verify, repair, diff, sign, verify-signature, bundle, unbundle)"
   )
-  .option("-a, --assets <path>", "Global assets directory", "./assets")
-  .option("-v, --verbose", "Show verbose output")
-  .action(async (file, options) => {
-    await extractHypFile(file, options.output, options.assets, options);
+  .action((cmd) => {
+    if (!cmd) {
+      program.help();
+    }
   });
 
+// Lint command
 program
-  .command("pack")
-  .description("Pack a directory into a .hyp file")
-  .argument(
-    "<directory>",
-    "Path to the directory containing blueprint.json and assets"
+  .command("lint")
+  .description("Check manifest props against the app.configure fields")
+  .argument("[app-names...]", "App names to lint (omit to lint all apps)")
+  .option(
+    "-a, --apps-dir <directory>",
+    "Apps directory containing source files",
+    "./apps"
   )
   .option(
-    "-o, --output <file>",
-    "Output file path (default: based on app name)"
+    "--aliases <file>",
+    "JSON file of import aliases mapped to paths (default: ./aliases.json if present)"
   )
-  .option("-a, --assets <path>", "Global assets directory", "./assets")
-  .option("-v, --verbose", "Show verbose output")
-  .action(async (directory, options) => {
-    await packDirectory(directory, options.output, options.assets, options);
+  .option("--strict", "Exit with an error when any problem is found")
+  .action((appNames, options) => {
+    try {
+      if (!fs.existsSync(options.appsDir)) {
+        console.error(
+          chalk.red(`Error: Apps directory '${options.appsDir}' not found`)
+        );
+        process.exit(1);
+      }
+
+      const appFiles = findAppSources(options.appsDir, appNames);
+      if (appFiles.length === 0) {
+        console.error(chalk.red("No source files found to lint"));
+        process.exit(1);
+      }
+
+      const { errorCount, warningCount } = lintApps(
+        appFiles,
+        options.appsDir,
+        loadAliases(options)
+      );
+      if (options.strict && errorCount + warningCount > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red("Error during lint:"), error);
+      process.exit(1);
+    }
   });
 
-// Info command to display information about a .hyp file
+// Check command
 program
-  .command("info")
-  .description("Display information about a .hyp file")
-  .argument("<file>", "Path to the .hyp file")
-  .action(async (file) => {
+  .command("check")
+  .description("Type-check app scripts against the Hyperfy script globals")
+  .argument("[app-names...]", "App names to check (omit to check all apps)")
+  .option(
+    "-a, --apps-dir <directory>",
+    "Apps directory containing source files",
+    "./apps"
+  )
+  .option(
+    "--aliases <file>",
+    "JSON file of import aliases mapped to paths (default: ./aliases.json if present)"
+  )
+  .action((appNames, options) => {
     try {
-      // Validate input file
-      if (!file.endsWith(".hyp")) {
-        console.error(chalk.red("Error: File must have .hyp extension."));
+      if (!fs.existsSync(options.appsDir)) {
+        console.error(
+          chalk.red(`Error: Apps directory '${options.appsDir}' not found`)
+        );
         process.exit(1);
       }
 
-      if (!fs.existsSync(file)) {
-        console.error(chalk.red(`Error: File not found: ${file}`));
+      const appFiles = findCheckSources(options.appsDir, appNames);
+      if (appFiles.length === 0) {
+        console.error(chalk.red("No source files found to check"));
         process.exit(1);
       }
 
-      // Import and parse the .hyp file
-      const importedApp = await importApp(file);
-
-      // Display information
-      console.log(chalk.blue("\nApp Information:"));
-      console.log(chalk.bold("Name:"), importedApp.blueprint.name || "Unnamed");
-
-      if (importedApp.blueprint.model) {
-        console.log(chalk.bold("Model:"), importedApp.blueprint.model);
-      }
-
-      if (importedApp.blueprint.script) {
-        console.log(chalk.bold("Script:"), importedApp.blueprint.script);
-      }
-
       console.log(
-        chalk.bold("Locked:"),
-        importedApp.blueprint.locked ? "Yes" : "No"
+        chalk.blue(
+          `Type-checking ${appFiles.length} app(s): ${appFiles.map((app) => app.name).join(", ")}`
+        )
+      );
+      const diagnostics = checkTypes(
+        appFiles.map((app) => app.path),
+        options.appsDir,
+        { paths: toTsPaths(loadAliases(options)) }
       );
 
-      console.log(chalk.blue("\nAssets:"));
-      for (const asset of importedApp.assets) {
-        console.log(
-          `- ${chalk.bold(asset.fileName)} (${asset.type}, ${asset.size} bytes)`
+      let errorCount = 0;
+      for (const diagnostic of diagnostics) {
+        const location = diagnostic.file
+          ? `${path.relative(process.cwd(), diagnostic.file)}:${diagnostic.line}:${diagnostic.column}: `
+          : "";
+        const text = `${location}${diagnostic.level} TS${diagnostic.code}: ${diagnostic.message}`;
+        if (diagnostic.level === "error") {
+          console.error(chalk.red(text));
+          errorCount++;
+        } else {
+          console.warn(chalk.yellow(text));
+        }
+      }
+
+      if (errorCount > 0) {
+        console.error(
+          chalk.red(`\nType check failed with ${errorCount} error(s)`)
         );
+        process.exit(1);
       }
+      console.log(chalk.green("\nNo type errors found"));
     } catch (error) {
-      console.error(chalk.red("Error reading .hyp file:"), error);
+      console.error(chalk.red("Error during type check:"), error.message);
       process.exit(1);
     }
   });
 
-// Add default command behavior
-program
-  .argument("[command]", "Command to run (extract, pack, info)")
-  .action((cmd) => {
-    if (!cmd) {
-      program.help();
-    }
-  });
-
-/**
- * Locates an asset file based on a relative path or filename
- * @param {string} assetPath - Asset path or filename
- * @param {string[]} searchDirs - Directories to search in order of priority
- * @returns {object|null} - Object with originalPath and fileName or null if not found
- */
-export function findAsset(assetPath, searchDirs) {
-  // Strip asset:// prefix if present
-  const cleanPath = assetPath.startsWith("asset://")
-    ? assetPath.substring(8)
-    : assetPath;
-
-  // Try as provided path
-  if (fs.existsSync(cleanPath)) {
-    return {
-      originalPath: cleanPath,
-      fileName: path.basename(cleanPath),
-    };
-  }
-
-  // Try as a filename in each search directory
-  const fileName = path.basename(cleanPath);
-  for (const dir of searchDirs) {
-    if (!fs.existsSync(dir)) continue;
-
-    const fullPath = path.join(dir, fileName);
-    if (fs.existsSync(fullPath)) {
-      return {
-        originalPath: fullPath,
-        fileName: fileName,
-      };
-    }
-  }
-
-  // Try path relative to each search directory
-  for (const dir of searchDirs) {
-    if (!fs.existsSync(dir)) continue;
-
-    const fullPath = path.join(dir, cleanPath);
-    if (fs.existsSync(fullPath)) {
-      return {
-        originalPath: fullPath,
-        fileName: path.basename(fullPath),
-      };
-    }
+// Find the app sources build and deploy work on, and load the settings their
+// builds read from files
+function findBuildSources(appNames, options) {
+  if (!fs.existsSync(options.appsDir)) {
+    throw new BuildError(`Apps directory '${options.appsDir}' not found`);
   }
 
-  return null;
-}
-
-/**
- * Process assets from a blueprint object
- * @param {object} blueprint - The blueprint object
- * @param {object} options - Options object
- * @param {string} options.appDir - Output directory for the app
- * @param {string[]} options.searchDirs - Directories to search for assets
- * @param {string} options.globalAssetsDir - Global assets directory
- * @returns {Promise<object>} - Updated blueprint and list of copied assets
- */
-export async function processAssets(blueprint, options) {
-  const { appDir, searchDirs, globalAssetsDir } = options;
-  const assetsCopied = [];
-  const updatedBlueprint = { ...blueprint };
-
-  // Ensure global assets directory exists
-  ensureDir(globalAssetsDir);
-
-  // Process model
-  if (updatedBlueprint.model) {
-    const asset = findAsset(updatedBlueprint.model, searchDirs);
-    if (asset) {
-      // Store asset in global assets folder
-      const assetInfo = await storeAsset(
-        asset.originalPath,
-        globalAssetsDir,
-        options.verbose
-      );
-
-      if (assetInfo) {
-        assetsCopied.push({
-          ...assetInfo,
-          type: "model",
-        });
-
-        // Update blueprint reference to use the new asset path
-        updatedBlueprint.model = `asset://${assetInfo.filename}`;
-      }
-    } else {
+  // The config can give several asset directories to search
+  for (const assetsDir of [].concat(options.assetsDir)) {
+    if (!fs.existsSync(assetsDir)) {
       console.warn(
-        chalk.yellow(
-          `Warning: Model asset not found: ${updatedBlueprint.model}`
-        )
+        chalk.yellow(`Warning: Assets directory '${assetsDir}' not found`)
       );
     }
   }
 
-  // Process image
-  if (updatedBlueprint.image && updatedBlueprint.image.url) {
-    const asset = findAsset(updatedBlueprint.image.url, searchDirs);
-    if (asset) {
-      // Store asset in global assets folder
-      const assetInfo = await storeAsset(
-        asset.originalPath,
-        globalAssetsDir,
-        options.verbose
-      );
-
-      if (assetInfo) {
-        assetsCopied.push({
-          ...assetInfo,
-          type: "image",
-        });
-
-        // Update blueprint reference to use the new asset path
-        updatedBlueprint.image.url = `asset://${assetInfo.filename}`;
-      }
-    } else {
-      console.warn(
-        chalk.yellow(
-          `Warning: Image asset not found: ${updatedBlueprint.image.url}`
-        )
-      );
-    }
+  if (appNames.length === 0) {
+    console.log(chalk.blue("Building all apps..."));
+  } else {
+    console.log(chalk.blue(`Building apps: ${appNames.join(", ")}...`));
   }
 
-  // Process props
-  if (updatedBlueprint.props) {
-    for (const key in updatedBlueprint.props) {
-      const prop = updatedBlueprint.props[key];
-      if (prop && prop.url) {
-        const asset = findAsset(prop.url, searchDirs);
-        if (asset) {
-          // Store asset in global assets folder
-          const assetInfo = await storeAsset(
-            asset.originalPath,
-            globalAssetsDir,
-            options.verbose
-          );
-
-          if (assetInfo) {
-            assetsCopied.push({
-              ...assetInfo,
-              type: "prop",
-              propKey: key,
-            });
-
-            // Update blueprint reference to use the new asset path
-            updatedBlueprint.props[key].url = `asset://${assetInfo.filename}`;
-          }
-        } else {
-          console.warn(
-            chalk.yellow(`Warning: Prop asset not found: ${prop.url} (${key})`)
-          );
-        }
-      }
-    }
+  const appFiles = findAppSources(options.appsDir, appNames);
+  if (appFiles.length === 0) {
+    throw new BuildError("No source files found to build");
   }
 
-  // Save app metadata with assets info
-  const metadataPath = path.join(appDir, "app-metadata.json");
-  fs.writeFileSync(
-    metadataPath,
-    JSON.stringify(
-      {
-        processedAt: new Date().toISOString(),
-        assets: assetsCopied,
-      },
-      null,
-      2
-    )
-  );
-
-  if (options.verbose) {
-    console.log(chalk.green(`Saved metadata to: ${metadataPath}`));
-  }
+  // Replace the budgets and aliases file options with what they hold
+  options.budgets = loadBudgets(options);
+  options.aliases = loadAliases(options);
+  options.jobs = parseJobs(options.jobs);
+  options.sandboxAllow = loadSandboxAllowlist(options);
 
-  return {
-    blueprint: updatedBlueprint,
-    assets: assetsCopied,
-  };
+  return appFiles;
 }
 
 // Build command
@@ -990,8 +780,55 @@ program
     "Directory to save packaged .hyp files",
     "./dist"
   )
+  .option(
+    "--compress <codec>",
+    "Compress asset payloads when packaging (gzip or brotli)"
+  )
   .option("-v, --verbose", "Show verbose output")
   .option("--no-manifest", "Skip manifest extraction", false)
+  .option(
+    "-w, --watch",
+    "Watch app sources and assets, rebuilding affected apps on change"
+  )
+  .option(
+    "--deploy-db <path>",
+    "Deploy built apps into this world database after each build"
+  )
+  .option(
+    "--strict",
+    "Lint manifest props against app.configure fields and fail on any problem"
+  )
+  .option("--minify", "Minify built scripts")
+  .option(
+    "-j, --jobs <count>",
+    "Number of apps to build at once (default: one per CPU)"
+  )
+  .option("--force", "Rebuild every app, even those unchanged since last build")
+  .option(
+    "--report <file>",
+    "Write a JSON report of each app's outputs, hashes, sizes and warnings"
+  )
+  .option(
+    "--aliases <file>",
+    "JSON file of import aliases mapped to paths (default: ./aliases.json if present)"
+  )
+  .option(
+    "--budgets <file>",
+    "JSON file of size budgets by app name (default: ./budgets.json if present)"
+  )
+  .option(
+    "--size-report",
+    "Print each app's sizes and the size of each module in its script"
+  )
+  .option(
+    "--fork <name>",
+    "Allow the extra script globals this fork's runtime provides (see forks.json)"
+  )
+  .option("--forks-file <file>", "Path to forks.json", "./forks.json")
+  .option(
+    "--no-sandbox-check",
+    "Skip checking scripts for APIs outside the Hyperfy script sandbox"
+  )
   .action(async (appNames, options) => {
     try {
       // Ensure directories exist
@@ -1008,258 +845,63 @@ program
         fs.mkdirSync(options.packageDir, { recursive: true });
       }
 
-      const appsDir = options.appsDir;
-      if (!fs.existsSync(appsDir)) {
-        console.error(
-          chalk.red(`Error: Apps directory '${appsDir}' not found`)
-        );
-        process.exit(1);
-      }
+      const appFiles = findBuildSources(appNames, options);
 
-      const assetsDir = options.assetsDir;
-      if (!fs.existsSync(assetsDir)) {
-        console.warn(
-          chalk.yellow(`Warning: Assets directory '${assetsDir}' not found`)
+      if (options.strict) {
+        const { errorCount, warningCount } = lintApps(
+          appFiles,
+          options.appsDir,
+          options.aliases
         );
-      }
-
-      // Get list of script files to process
-      let appFiles = [];
-      if (appNames.length === 0) {
-        // Build all apps if no specific app names provided
-        console.log(chalk.blue("Building all apps..."));
-
-        const files = fs.readdirSync(appsDir);
-        appFiles = files
-          .filter(
-            (file) =>
-              file.endsWith(".js") ||
-              file.endsWith(".jsx") ||
-              file.endsWith(".ts") ||
-              file.endsWith(".tsx")
-          )
-          .map((file) => ({
-            name: path.basename(file, path.extname(file)),
-            path: path.join(appsDir, file),
-          }));
-      } else {
-        // Build only specified apps
-        console.log(chalk.blue(`Building apps: ${appNames.join(", ")}...`));
-
-        appFiles = appNames
-          .map((name) => {
-            // Try different extensions
-            const extensions = [".js", ".jsx", ".ts", ".tsx"];
-            for (const ext of extensions) {
-              const filePath = path.join(appsDir, `${name}${ext}`);
-              if (fs.existsSync(filePath)) {
-                return {
-                  name,
-                  path: filePath,
-                };
-              }
-            }
-
-            console.error(
-              chalk.red(
-                `Error: Source file for '${name}' not found in ${appsDir}`
-              )
-            );
-            return null;
-          })
-          .filter(Boolean);
-      }
-
-      if (appFiles.length === 0) {
-        console.error(chalk.red("No source files found to build"));
-        process.exit(1);
-      }
-
-      // Track built apps for packaging
-      const builtApps = [];
-
-      // Process each source file
-      for (const app of appFiles) {
-        console.log(chalk.blue(`\nProcessing app: ${app.name}`));
-
-        // Create app directory
-        const appDir = path.join(options.output, app.name);
-        if (!fs.existsSync(appDir)) {
-          fs.mkdirSync(appDir, { recursive: true });
-        }
-
-        // Build the script
-        console.log(chalk.dim(`Building script: ${app.path}`));
-
-        const outDir = path.join(options.cacheDir, app.name);
-        if (!fs.existsSync(outDir)) {
-          fs.mkdirSync(outDir, { recursive: true });
-        }
-
-        const outputPath = path.join(outDir, "script.js");
-
-        try {
-          // Use Rollup programmatically with our manifest plugin
-          const result = await buildWithRollup(app.path, outputPath, appDir);
-
-          if (result.success) {
-            console.log(
-              chalk.green(`Script built successfully: ${outputPath}`)
-            );
-
-            // Hash the built script file and store in global assets
-            const scriptAssetInfo = await storeAsset(
-              outputPath,
-              options.globalAssets,
-              options.verbose
-            );
-
-            if (!scriptAssetInfo) {
-              console.error(
-                chalk.red(`Failed to store script asset for ${app.name}`)
-              );
-              continue;
-            }
-
-            console.log(
-              chalk.green(
-                `Stored script in global assets: ${scriptAssetInfo.filename}`
-              )
-            );
-
-            // If we have a blueprint from the manifest, process assets
-            let blueprintData = result.blueprint;
-
-            // If no manifest was found in the source, check for existing blueprint
-            if (!blueprintData) {
-              const existingBlueprintPath = path.join(
-                appsDir,
-                `${app.name}.json`
-              );
-              if (fs.existsSync(existingBlueprintPath)) {
-                console.log(
-                  chalk.yellow(
-                    `No manifest found, using existing blueprint: ${existingBlueprintPath}`
-                  )
-                );
-                blueprintData = JSON.parse(
-                  fs.readFileSync(existingBlueprintPath, "utf8")
-                );
-              } else {
-                // Create a basic blueprint
-                console.log(
-                  chalk.yellow(
-                    `No manifest or blueprint found, creating basic blueprint`
-                  )
-                );
-                blueprintData = {
-                  name: app.name,
-                  script: `asset://${scriptAssetInfo.filename}`,
-                };
-              }
-            }
-
-            // Update the script path in the blueprint
-            blueprintData.script = `asset://${scriptAssetInfo.filename}`;
-
-            // Process assets using our helper function
-            const searchDirs = [
-              assetsDir,
-              path.dirname(app.path),
-              process.cwd(),
-            ];
-
-            const { blueprint: updatedBlueprint, assets: copiedAssets } =
-              await processAssets(blueprintData, {
-                appDir,
-                searchDirs,
-                globalAssetsDir: options.globalAssets,
-                verbose: options.verbose,
-              });
-
-            // Add script to assets list
-            copiedAssets.push({
-              ...scriptAssetInfo,
-              type: "script",
-            });
-
-            // Log copied assets
-            for (const asset of copiedAssets) {
-              if (asset.type !== "script") {
-                // Skip script asset as already logged
-                console.log(
-                  chalk.green(
-                    `Processed ${asset.type}${asset.propKey ? ` (${asset.propKey})` : ""}: ${path.basename(asset.originalPath)} → ${asset.filename}`
-                  )
-                );
-              }
-            }
-
-            // Save updated blueprint to app directory
-            const blueprintDestPath = path.join(appDir, "blueprint.json");
-            fs.writeFileSync(
-              blueprintDestPath,
-              JSON.stringify(updatedBlueprint, null, 2)
-            );
-            console.log(
-              chalk.green(`Saved blueprint to: ${blueprintDestPath}`)
-            );
-
-            console.log(chalk.green(`Successfully built app: ${app.name}`));
-
-            // Add to list of built apps for packaging
-            builtApps.push({
-              name: app.name,
-              dir: appDir,
-              assets: copiedAssets,
-            });
-          } else {
-            console.error(chalk.red(`Failed to build script for ${app.name}`));
-            continue;
-          }
-        } catch (error) {
-          console.error(
-            chalk.red(`Error building script for ${app.name}:`),
-            error
-          );
-          continue;
+        if (errorCount + warningCount > 0) {
+          throw new BuildError("Build stopped by lint problems (--strict)");
         }
       }
 
+      // Timed for the build report
+      const startTime = performance.now();
+      const builtApps = await buildApps(appFiles, options);
+
       console.log(
         chalk.green(
           `\nBuild process completed. Built ${builtApps.length} app(s) to ${options.output}`
         )
       );
 
-      // Package as .hyp files if requested
-      if (options.package && builtApps.length > 0) {
-        console.log(chalk.blue("\nPackaging apps as .hyp files..."));
-
-        for (const app of builtApps) {
-          try {
-            const hypPath = await packDirectory(
-              app.dir,
-              path.join(options.packageDir, `${app.name}.hyp`),
-              options.globalAssets,
-              { verbose: options.verbose }
-            );
+      // Package as .hyp files if requested, for every app (--package) or
+      // for the apps the config packages
+      let packages;
+      if (builtApps.some((app) => getAppOptions(app.name, options).package)) {
+        packages = await packageApps(builtApps, options);
+      }
 
-            console.log(chalk.green(`Packaged ${app.name} to: ${hypPath}`));
-          } catch (error) {
-            console.error(chalk.red(`Error packaging ${app.name}:`), error);
-          }
-        }
+      if (options.report) {
+        writeBuildReport(
+          options.report,
+          appFiles,
+          builtApps,
+          { startTime, packages },
+          options
+        );
+      }
 
-        console.log(
-          chalk.green(
-            `\nPackaging complete. ${builtApps.length} app(s) packaged to ${options.packageDir}`
-          )
+      // Deploy into a world database if requested
+      if (options.deployDb && builtApps.length > 0) {
+        await deployApps(builtApps, {
+          ...options,
+          dbPath: options.deployDb,
+        });
+      }
+
+      if (options.watch) {
+        watchApps(appNames, appFiles, builtApps, options);
+      } else if (builtApps.length < appFiles.length) {
+        throw new BuildError(
+          `${appFiles.length - builtApps.length} app(s) failed to build`
         );
       }
     } catch (error) {
-      console.error(chalk.red("Error during build:"), error);
-      process.exit(1);
+      exitWithError("Error during build:", error, options);
     }
   });
 
@@ -1279,12 +921,12 @@ program
   .option(
     "-as, --assets-dir <directory>",
     "Assets directory containing media files",
-    "./assets"
+    "./named-assets"
   )
   .option(
     "-ga, --global-assets <directory>",
     "Global assets directory for storing hashed assets",
-    "./global-assets"
+    "./assets"
   )
   .option(
     "-c, --cache-dir <directory>",
@@ -1321,6 +963,37 @@ program
     false
   )
   .option("-w, --world-id <id>", "World ID to associate with the blueprint")
+  .option(
+    "--bundle <file>",
+    "Deploy the apps in a .hypkit bundle instead of building from source"
+  )
+  .option("--minify", "Minify built scripts")
+  .option(
+    "-j, --jobs <count>",
+    "Number of apps to build at once (default: one per CPU)"
+  )
+  .option("--force", "Rebuild every app, even those unchanged since last build")
+  .option(
+    "--aliases <file>",
+    "JSON file of import aliases mapped to paths (default: ./aliases.json if present)"
+  )
+  .option(
+    "--budgets <file>",
+    "JSON file of size budgets by app name (default: ./budgets.json if present)"
+  )
+  .option(
+    "--size-report",
+    "Print each app's sizes and the size of each module in its script"
+  )
+  .option(
+    "--fork <name>",
+    "Allow the extra script globals this fork's runtime provides (see forks.json)"
+  )
+  .option("--forks-file <file>", "Path to forks.json", "./forks.json")
+  .option(
+    "--no-sandbox-check",
+    "Skip checking scripts for APIs outside the Hyperfy script sandbox"
+  )
   .option("-v, --verbose", "Show verbose output")
   .action(async (appNames, options) => {
     try {
@@ -1333,370 +1006,211 @@ program
         }
       );
 
-      const appsDir = options.appsDir;
-      const assetsDir = options.assetsDir;
-      if (!fs.existsSync(appsDir)) {
-        console.error(
-          chalk.red(`Error: Apps directory '${appsDir}' not found`)
+      // Bundled apps are already built and skip straight to deployment
+      if (options.bundle) {
+        if (!fs.existsSync(options.bundle)) {
+          throw new DeployError(`Bundle file '${options.bundle}' not found`);
+        }
+
+        console.log(chalk.blue(`Deploying bundle: ${options.bundle}...`));
+        const bundledApps = await unbundleHypKit(
+          options.bundle,
+          options.output,
+          options.globalAssets,
+          { names: appNames }
         );
-        process.exit(1);
+        await deployApps(bundledApps, options);
+        return;
       }
 
-      // Get list of script files to process (similar to build command)
-      let appFiles = [];
-      if (appNames.length === 0) {
-        console.log(chalk.blue("Building all apps..."));
-        const files = fs.readdirSync(appsDir);
-        appFiles = files
-          .filter(
-            (file) =>
-              file.endsWith(".js") ||
-              file.endsWith(".jsx") ||
-              file.endsWith(".ts") ||
-              file.endsWith(".tsx")
-          )
-          .map((file) => ({
-            name: path.basename(file, path.extname(file)),
-            path: path.join(appsDir, file),
-          }));
-      } else {
-        console.log(chalk.blue(`Building apps: ${appNames.join(", ")}...`));
-        appFiles = appNames
-          .map((name) => {
-            const extensions = [".js", ".jsx", ".ts", ".tsx"];
-            for (const ext of extensions) {
-              const filePath = path.join(appsDir, `${name}${ext}`);
-              if (fs.existsSync(filePath)) {
-                return { name, path: filePath };
-              }
-            }
-            console.error(
-              chalk.red(
-                `Error: Source file for '${name}' not found in ${appsDir}`
-              )
-            );
-            return null;
-          })
-          .filter(Boolean);
-      }
+      const appFiles = findBuildSources(appNames, options);
 
-      if (appFiles.length === 0) {
-        console.error(chalk.red("No source files found to build"));
-        process.exit(1);
+      // Checked before building, as apps that fail to build aren't deployed
+      if (options.blueprintId && appFiles.length > 1) {
+        throw new DeployError(
+          "A blueprint ID can only be used with a single app"
+        );
       }
 
-      // Track built apps for database insertion
-      const builtApps = [];
+      const builtApps = await buildApps(appFiles, options);
+      await deployApps(builtApps, options);
 
-      // Process each source file (similar to build command)
-      for (const app of appFiles) {
-        console.log(chalk.blue(`\nProcessing app: ${app.name}`));
-
-        // Create app directory
-        const appDir = path.join(options.output, app.name);
-        if (!fs.existsSync(appDir)) {
-          fs.mkdirSync(appDir, { recursive: true });
-        }
-
-        // Build the script (reusing code from build command)
-        console.log(chalk.dim(`Building script: ${app.path}`));
-        const outDir = path.join(options.cacheDir, app.name);
-        if (!fs.existsSync(outDir)) {
-          fs.mkdirSync(outDir, { recursive: true });
-        }
-
-        const outputPath = path.join(outDir, "script.js");
+      if (builtApps.length < appFiles.length) {
+        throw new BuildError(
+          `${appFiles.length - builtApps.length} app(s) failed to build and weren't deployed`
+        );
+      }
+    } catch (error) {
+      exitWithError("Error during deployment:", error, options);
+    }
+  });
 
-        try {
-          // Use Rollup to build with manifest plugin
-          const result = await buildWithRollup(app.path, outputPath, appDir);
+// Built scripts are stored under their content hash
+const HASHED_SCRIPT_PATTERN = /[0-9a-f]{64}\.js/;
 
-          if (result.success) {
-            console.log(
-              chalk.green(`Script built successfully: ${outputPath}`)
-            );
+// A `location:line:column` position, as found in stack frames and logs
+const POSITION_PATTERN = /([^\s()@]*):(\d+):(\d+)/g;
 
-            // Hash and store the script in global assets
-            const scriptAssetInfo = await storeAsset(
-              outputPath,
-              options.globalAssets,
-              options.verbose
-            );
+/**
+ * Rewrite positions in built scripts found in a stack trace or log to the
+ * source positions they came from
+ * @param {string} text - The stack trace or log
+ * @param {object} options - Options object
+ * @param {Function} options.getMap - Returns the source map of a hashed
+ *   script file name, or null if it has none
+ * @param {object} [options.defaultMap] - Source map for positions that don't
+ *   name a file, such as `<anonymous>:12:5` from evaluated scripts
+ * @param {number} [options.lineOffset] - Lines the runtime adds before the
+ *   script, subtracted before mapping
+ * @returns {object} - The rewritten text and the number of positions remapped
+ */
+function remapStackTrace(text, { getMap, defaultMap, lineOffset = 0 }) {
+  let remapped = 0;
+
+  const rewritten = text.replace(
+    POSITION_PATTERN,
+    (match, location, line, column) => {
+      const hashedScript = location.match(HASHED_SCRIPT_PATTERN);
+      const sourceMap = hashedScript
+        ? getMap(hashedScript[0])
+        : !location.includes("/") && defaultMap;
+      if (!sourceMap) {
+        return match;
+      }
 
-            if (!scriptAssetInfo) {
-              console.error(
-                chalk.red(`Failed to store script asset for ${app.name}`)
-              );
-              continue;
-            }
+      const original = originalPositionFor(
+        sourceMap,
+        Number(line) - lineOffset,
+        Number(column)
+      );
+      if (!original) {
+        return match;
+      }
 
-            console.log(
-              chalk.green(
-                `Stored script in global assets: ${scriptAssetInfo.filename}`
-              )
-            );
+      remapped++;
+      return `${original.source}:${original.line}:${original.column}`;
+    }
+  );
 
-            // Get or create blueprint
-            let blueprintData = result.blueprint;
-            if (!blueprintData) {
-              const existingBlueprintPath = path.join(
-                appsDir,
-                `${app.name}.json`
-              );
-              if (fs.existsSync(existingBlueprintPath)) {
-                console.log(
-                  chalk.yellow(
-                    `No manifest found, using existing blueprint: ${existingBlueprintPath}`
-                  )
-                );
-                blueprintData = JSON.parse(
-                  fs.readFileSync(existingBlueprintPath, "utf8")
-                );
-              } else {
-                console.log(
-                  chalk.yellow(
-                    `No manifest or blueprint found, creating basic blueprint`
-                  )
-                );
-                blueprintData = {
-                  name: app.name,
-                  script: `asset://${scriptAssetInfo.filename}`,
-                };
-              }
-            }
-
-            // Update script path in blueprint
-            blueprintData.script = `asset://${scriptAssetInfo.filename}`;
-
-            // Process assets
-            const searchDirs = [
-              assetsDir,
-              path.dirname(app.path),
-              process.cwd(),
-            ];
-
-            const { blueprint: updatedBlueprint, assets: copiedAssets } =
-              await processAssets(blueprintData, {
-                appDir,
-                searchDirs,
-                globalAssetsDir: options.globalAssets,
-                verbose: options.verbose,
-              });
-
-            // Add script to assets list
-            copiedAssets.push({
-              ...scriptAssetInfo,
-              type: "script",
-            });
-
-            // Log copied assets
-            for (const asset of copiedAssets) {
-              if (asset.type !== "script") {
-                // Skip script asset as already logged
-                console.log(
-                  chalk.green(
-                    `Processed ${asset.type}${asset.propKey ? ` (${asset.propKey})` : ""}: ${path.basename(
-                      asset.originalPath
-                    )} → ${asset.filename}`
-                  )
-                );
-              }
-            }
-
-            // Set custom blueprint ID if provided
-            if (options.blueprintId) {
-              updatedBlueprint.id = options.blueprintId;
-            } else if (!updatedBlueprint.id) {
-              updatedBlueprint.id = createHash("sha256")
-                .update(app.name)
-                .digest("hex")
-                .substr(0, 32);
-            }
-
-            // Store transform data temporarily for entity creation
-            const transform = {
-              position: options.position.split(",").map((v) => parseFloat(v)),
-              quaternion: options.rotation.split(",").map((v) => parseFloat(v)),
-              scale: options.scale.split(",").map((v) => parseFloat(v)),
-            };
-
-            // Store the transform with the app data for entity creation later
-            app.transform = transform;
-
-            // Add world ID if provided
-            if (options.worldId) {
-              updatedBlueprint.worldId = options.worldId;
-            }
-
-            // Save blueprint to app directory
-            const blueprintDestPath = path.join(appDir, "blueprint.json");
-            fs.writeFileSync(
-              blueprintDestPath,
-              JSON.stringify(updatedBlueprint, null, 2)
-            );
-            console.log(
-              chalk.green(`Saved blueprint to: ${blueprintDestPath}`)
-            );
+  return { text: rewritten, remapped };
+}
 
-            // Add to list of built apps
-            builtApps.push({
-              name: app.name,
-              dir: appDir,
-              blueprint: updatedBlueprint,
-              assets: copiedAssets,
-              transform: transform,
-            });
+// Trace command to map stack traces from built scripts back to app sources
+program
+  .command("trace")
+  .description(
+    "Rewrite a stack trace or log from built app scripts to source locations"
+  )
+  .argument(
+    "[file]",
+    "File holding the stack trace or log (omit to read from stdin)"
+  )
+  .option(
+    "-ga, --global-assets <directory>",
+    "Global assets directory holding built scripts and their source maps",
+    "./assets"
+  )
+  .option(
+    "--app <name>",
+    "Built app the trace comes from, for positions that don't name a script"
+  )
+  .option("-o, --output <directory>", "Build output directory", "./build")
+  .option(
+    "--map <file>",
+    "Source map to use for positions that don't name a script"
+  )
+  .option(
+    "--line-offset <lines>",
+    "Lines the runtime adds before the script (such as a wrapper function)",
+    "0"
+  )
+  .action((file, options) => {
+    try {
+      const lineOffset = Number.parseInt(options.lineOffset, 10);
+      if (Number.isNaN(lineOffset)) {
+        console.error(
+          chalk.red(`Error: Invalid line offset '${options.lineOffset}'`)
+        );
+        process.exit(1);
+      }
 
-            console.log(chalk.green(`Successfully built app: ${app.name}`));
-          } else {
-            console.error(chalk.red(`Failed to build script for ${app.name}`));
-          }
-        } catch (error) {
+      // Find the map for positions without a script name from the built
+      // app's blueprint, which names its hashed script
+      let mapPath = options.map;
+      if (!mapPath && options.app) {
+        const blueprintPath = path.join(
+          options.output,
+          options.app,
+          "blueprint.json"
+        );
+        if (!fs.existsSync(blueprintPath)) {
           console.error(
-            chalk.red(`Error building script for ${app.name}:`),
-            error
+            chalk.red(
+              `Error: Built app '${options.app}' not found in ${options.output}`
+            )
           );
+          process.exit(1);
         }
+        const { script } = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
+        mapPath = path.join(
+          options.globalAssets,
+          getSourceMapFileName(getAssetFileName(script))
+        );
       }
-
-      // Connect to the database
-      console.log(chalk.blue(`\nConnecting to database: ${options.dbPath}`));
-      const db = await getDB(options.dbPath);
-
-      try {
-        // Determine world assets folder path (next to the database)
-        const dbDir = path.dirname(options.dbPath);
-        const worldAssetsDir = path.join(dbDir, "assets");
-
-        // Ensure world assets directory exists
-        if (!fs.existsSync(worldAssetsDir)) {
-          console.log(
-            chalk.blue(`Creating world assets directory: ${worldAssetsDir}`)
-          );
-          fs.mkdirSync(worldAssetsDir, { recursive: true });
-        }
-
-        // Insert or update blueprints in the database
-        for (const app of builtApps) {
-          console.log(chalk.blue(`\nDeploying app: ${app.name}`));
-          const blueprint = app.blueprint;
-
-          // Copy assets to world assets folder
-          console.log(
-            chalk.blue(
-              `Copying assets to world assets folder: ${worldAssetsDir}`
-            )
+      if (mapPath && !fs.existsSync(mapPath)) {
+        console.error(chalk.red(`Error: Source map '${mapPath}' not found`));
+        process.exit(1);
+      }
+      const defaultMap = mapPath ? readSourceMap(mapPath) : null;
+
+      // Maps of scripts named in the trace, loaded once each
+      const maps = new Map();
+      const getMap = (scriptFileName) => {
+        if (!maps.has(scriptFileName)) {
+          const scriptMapPath = path.join(
+            options.globalAssets,
+            getSourceMapFileName(scriptFileName)
           );
-
-          // Copy all assets from global assets folder to world assets folder
-          for (const asset of app.assets) {
-            const assetFileName = asset.filename;
-            const assetPath = path.join(options.globalAssets, assetFileName);
-            const assetDestPath = path.join(worldAssetsDir, assetFileName);
-
-            if (fs.existsSync(assetPath)) {
-              fs.copyFileSync(assetPath, assetDestPath);
-              console.log(
-                chalk.green(`Copied asset to world assets: ${assetFileName}`)
-              );
-            }
-          }
-
-          // Check if blueprint already exists
-          const existing = await db("blueprints")
-            .where("id", blueprint.id)
-            .first();
-          const now = new Date().toISOString();
-
-          if (existing) {
-            // Update existing blueprint
-            await db("blueprints")
-              .where("id", blueprint.id)
-              .update({
-                data: JSON.stringify(blueprint),
-                updatedAt: now,
-              });
-            console.log(
-              chalk.green(`Updated blueprint in database: ${blueprint.id}`)
-            );
+          if (fs.existsSync(scriptMapPath)) {
+            maps.set(scriptFileName, readSourceMap(scriptMapPath));
           } else {
-            // Insert new blueprint
-            await db("blueprints").insert({
-              id: blueprint.id,
-              data: JSON.stringify(blueprint),
-              createdAt: now,
-              updatedAt: now,
-            });
-            console.log(
-              chalk.green(`Inserted blueprint into database: ${blueprint.id}`)
+            console.warn(
+              chalk.yellow(
+                `Warning: No source map for ${scriptFileName} in ${options.globalAssets}`
+              )
             );
-          }
-
-          // Create entity if requested
-          if (options.createEntity) {
-            const entityId = createHash("sha256")
-              .update(`${blueprint.id}-entity`)
-              .digest("hex")
-              .substr(0, 32);
-
-            // Prepare entity data with transform information
-            const entityData = {
-              id: entityId,
-              type: blueprint.type || "app",
-              blueprint: blueprint.id,
-              position: app.transform.position,
-              quaternion: app.transform.quaternion,
-              pinned: false,
-              mover: null,
-              uploader: null,
-              state: { ready: true, holders: {} }, // Initialize with a ready state
-            };
-
-            // Check if entity already exists
-            const existingEntity = await db("entities")
-              .where("id", entityId)
-              .first();
-
-            if (existingEntity) {
-              // Update existing entity
-              await db("entities")
-                .where("id", entityId)
-                .update({
-                  data: JSON.stringify(entityData),
-                  updatedAt: now,
-                });
-              console.log(
-                chalk.green(`Updated entity in database: ${entityId}`)
-              );
-            } else {
-              // Insert new entity
-              await db("entities").insert({
-                id: entityId,
-                data: JSON.stringify(entityData),
-                createdAt: now,
-                updatedAt: now,
-              });
-              console.log(
-                chalk.green(`Created entity in database: ${entityId}`)
-              );
-            }
+            maps.set(scriptFileName, null);
           }
         }
+        return maps.get(scriptFileName);
+      };
 
-        console.log(
-          chalk.green(
-            `\nDeployment complete. Deployed ${builtApps.length} app(s) to the database.`
-          )
+      if (!file && process.stdin.isTTY) {
+        console.error(
+          chalk.dim("Paste the stack trace, then press Ctrl-D to finish")
         );
-      } finally {
-        // Close the database connection
-        await db.destroy();
       }
+      const input = fs.readFileSync(file ?? 0, "utf8");
+
+      const { text, remapped } = remapStackTrace(input, {
+        getMap,
+        defaultMap,
+        lineOffset,
+      });
+      process.stdout.write(text);
+
+      console.error(
+        remapped > 0
+          ? chalk.dim(`\nRemapped ${remapped} position(s)`)
+          : chalk.yellow(
+              `\nNo positions were remapped${defaultMap ? "" : " (use --app or --map for traces that don't name the script file)"}`
+            )
+      );
     } catch (error) {
-      console.error(chalk.red("Error during deployment:"), error);
+      console.error(chalk.red("Error during trace:"), error.message);
       process.exit(1);
     }
   });
 
 // Parse and execute
-program.parse();
+program.parseAsync();
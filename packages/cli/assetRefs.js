@@ -0,0 +1,117 @@
+// assetRefs.js
+// Shared discovery of asset references in blueprints, used by both the apps
+// and worlds CLIs so every code path sees the same set of assets
+
+export const ASSET_PROTOCOL = "asset://";
+
+// Fields that have always held asset references. Source manifests may use a
+// bare file path in these instead of an asset:// URL
+function isWellKnownAssetField(keyPath) {
+  const [root, key, leaf] = keyPath;
+  if (keyPath.length === 1) return root === "model" || root === "script";
+  if (keyPath.length === 2) return root === "image" && key === "url";
+  return keyPath.length === 3 && root === "props" && leaf === "url";
+}
+
+function isAssetRef(value, keyPath, includePaths) {
+  if (typeof value !== "string" || value === "") return false;
+  if (value.startsWith(ASSET_PROTOCOL)) return true;
+  return (
+    includePaths && !value.includes("://") && isWellKnownAssetField(keyPath)
+  );
+}
+
+/**
+ * Finds every asset reference anywhere in a blueprint, including arrays and
+ * nested objects inside props
+ * @param {object} blueprint - The blueprint object
+ * @param {object} [options] - Options object
+ * @param {boolean} [options.includePaths] - Also treat bare file paths in the
+ *   model, script, image.url and props.<key>.url fields as references
+ * @returns {object[]} - References with field (dotted path), path (key array),
+ *   url, and parent (the object holding the reference)
+ */
+export function findAssetRefs(blueprint, options = {}) {
+  const refs = [];
+
+  const walk = (value, keyPath, parent) => {
+    if (isAssetRef(value, keyPath, options.includePaths)) {
+      refs.push({
+        field: keyPath.join("."),
+        path: keyPath,
+        url: value,
+        parent,
+      });
+    } else if (value && typeof value === "object") {
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, [...keyPath, key], value);
+      }
+    }
+  };
+
+  walk(blueprint, [], null);
+  return refs;
+}
+
+/**
+ * Returns a copy of a blueprint with asset references replaced
+ * @param {object} blueprint - The blueprint object
+ * @param {Function} replace - Called with (url, ref) for each reference;
+ *   returns the new URL, or undefined to keep the reference unchanged
+ * @param {object} [options] - Same options as findAssetRefs
+ * @returns {object} - The rewritten blueprint
+ */
+export function rewriteAssetRefs(blueprint, replace, options = {}) {
+  const rewrite = (value, keyPath, parent) => {
+    if (isAssetRef(value, keyPath, options.includePaths)) {
+      const ref = {
+        field: keyPath.join("."),
+        path: keyPath,
+        url: value,
+        parent,
+      };
+      return replace(value, ref) ?? value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((child, index) =>
+        rewrite(child, [...keyPath, String(index)], value)
+      );
+    }
+    if (value && typeof value === "object") {
+      const rewritten = {};
+      for (const [key, child] of Object.entries(value)) {
+        rewritten[key] = rewrite(child, [...keyPath, key], value);
+      }
+      return rewritten;
+    }
+    return value;
+  };
+
+  return rewrite(blueprint, [], null);
+}
+
+/**
+ * Strips the asset:// prefix from a reference
+ * @param {string} url - Asset reference
+ * @returns {string} - The referenced file name or path
+ */
+export function getAssetFileName(url) {
+  return url.startsWith(ASSET_PROTOCOL)
+    ? url.substring(ASSET_PROTOCOL.length)
+    : url;
+}
+
+/**
+ * Determines the asset type recorded in .hyp headers for a reference
+ * @param {object} ref - Reference returned by findAssetRefs
+ * @returns {string} - Asset type (model, avatar, script, texture, or the
+ *   type of the prop holding the reference)
+ */
+export function getAssetRefType(ref) {
+  if (ref.field === "model") {
+    return ref.url.endsWith(".vrm") ? "avatar" : "model";
+  }
+  if (ref.field === "script") return "script";
+  if (ref.field === "image.url") return "texture";
+  return ref.parent?.type || "file";
+}
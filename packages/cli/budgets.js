@@ -0,0 +1,112 @@
+// budgets.js
+// Size budgets for built apps: limits on the built script and on the total
+// asset payload, set in an app's manifest or in a budgets file
+
+import fs from "node:fs";
+
+// Budget fields and what they limit
+export const BUDGET_KINDS = {
+  script: "script",
+  assets: "total asset payload",
+};
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Parse a size given in bytes or as a string with a unit, such as "64kb" or
+ * "1.5 MB"
+ * @param {number|string} value - The size
+ * @returns {number} - The size in bytes
+ */
+export function parseSize(value) {
+  if (typeof value === "number" && value >= 0) {
+    return value;
+  }
+
+  const match =
+    typeof value === "string" &&
+    value.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    throw new Error(
+      `Invalid size ${JSON.stringify(value)}, expected bytes or a size like "64kb" or "2mb"`
+    );
+  }
+  return Math.round(
+    Number(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]
+  );
+}
+
+// Check a budget's fields and convert its sizes to bytes
+function parseBudget(budget, source) {
+  if (!budget || typeof budget !== "object" || Array.isArray(budget)) {
+    throw new Error(`${source}: a budget must be an object`);
+  }
+
+  const parsed = {};
+  for (const [kind, value] of Object.entries(budget)) {
+    if (!(kind in BUDGET_KINDS)) {
+      throw new Error(
+        `${source}: unknown budget '${kind}' (expected ${Object.keys(BUDGET_KINDS).join(" or ")})`
+      );
+    }
+    try {
+      parsed[kind] = parseSize(value);
+    } catch (error) {
+      throw new Error(`${source}: ${kind}: ${error.message}`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Read a budgets file, mapping app names to budgets. The "*" entry applies
+ * to every app without an entry of its own
+ * @param {string} filePath - Path to the JSON budgets file
+ * @returns {object} - Budgets in bytes, keyed by app name
+ */
+export function readBudgetsFile(filePath) {
+  const budgets = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!budgets || typeof budgets !== "object" || Array.isArray(budgets)) {
+    throw new Error(`${filePath}: expected an object of budgets by app name`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(budgets).map(([name, budget]) => [
+      name,
+      parseBudget(budget, `${filePath}: ${name}`),
+    ])
+  );
+}
+
+/**
+ * Resolve an app's budget. Limits in the manifest win over the app's entry
+ * in the budgets file, which wins over the file's "*" entry
+ * @param {string} name - The app name
+ * @param {object} [manifestBudget] - The manifest's budget field
+ * @param {object} [budgets] - Budgets returned by readBudgetsFile
+ * @returns {object} - The app's limits in bytes, possibly empty
+ */
+export function resolveBudget(name, manifestBudget, budgets = {}) {
+  return {
+    ...budgets["*"],
+    ...budgets[name],
+    ...(manifestBudget ? parseBudget(manifestBudget, `${name}: budget`) : {}),
+  };
+}
+
+/**
+ * Compare an app's sizes against its budget
+ * @param {object} budget - Limits returned by resolveBudget
+ * @param {object} sizes - The app's script and assets sizes in bytes
+ * @returns {object[]} - The exceeded limits, with kind, size and limit
+ */
+export function checkBudget(budget, sizes) {
+  return Object.entries(budget)
+    .filter(([kind, limit]) => sizes[kind] > limit)
+    .map(([kind, limit]) => ({ kind, size: sizes[kind], limit }));
+}
@@ -0,0 +1,1343 @@
+// build.js
+// Builds apps from source: bundles each app's script with rollup, stores it
+// and the assets its manifest references in the global assets folder, and
+// writes the app's blueprint
+
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { AsyncLocalStorage } from "node:async_hooks";
+import chalk from "chalk";
+
+import { rollup } from "rollup";
+import { nodeResolve } from "@rollup/plugin-node-resolve";
+import commonjs from "@rollup/plugin-commonjs";
+import terser from "@rollup/plugin-terser";
+import MagicString from "magic-string";
+import aliasPlugin, { readAliasesFile } from "./rollupAliasPlugin.js";
+import manifestPlugin, { extractManifest } from "./rollupManifestPlugin.js";
+import typeScriptPlugin, {
+  readSourceAsJavaScript,
+} from "./rollupTypeScriptPlugin.js";
+import sandboxPlugin, {
+  formatSandboxViolation,
+  readForkAllowlist,
+} from "./rollupSandboxPlugin.js";
+import { findAssetRefs, rewriteAssetRefs } from "./assetRefs.js";
+import { lintProps, readConfigureFields } from "./lintProps.js";
+import { readBuildCache, writeBuildCache } from "./buildCache.js";
+import {
+  BUDGET_KINDS,
+  checkBudget,
+  readBudgetsFile,
+  resolveBudget,
+} from "./budgets.js";
+import { getSourceMapFileName } from "./sourceMaps.js";
+import {
+  SCRIPT_BANNER,
+  ensureDir,
+  formatBytes,
+  hashData,
+  packDirectory,
+  storeAsset,
+} from "./hyp.js";
+import { deployApps } from "./deploy.js";
+import { getAppOptions } from "./config.js";
+import { BuildError } from "./errors.js";
+
+// Prepend the banner to the rendered script. Output plugins run in order, so
+// placed after terser this keeps the banner out of minification, which would
+// drop its comment and merge `props;` into the bundle
+function bannerPlugin(banner) {
+  return {
+    name: "banner",
+    renderChunk(code) {
+      const s = new MagicString(code);
+      s.prepend(`${banner}\n`);
+      return { code: s.toString(), map: s.generateMap({ hires: true }) };
+    },
+  };
+}
+
+async function buildWithRollup(
+  inputPath,
+  outputPath,
+  appDir,
+  cache,
+  { minify = false, sandbox = null, aliases = {} } = {}
+) {
+  try {
+    // Uses of APIs the script sandbox doesn't provide, found while bundling
+    const violations = [];
+
+    // Create a rollup bundle with our custom plugin, reusing the cache from a
+    // previous build so only changed modules are transformed again
+    const bundle = await rollup({
+      input: inputPath,
+      cache,
+      // Aliases resolve before anything else. Dependencies come from
+      // node_modules, preferring their browser builds since scripts have no
+      // Node built-ins, and CommonJS packages are converted so rollup can
+      // tree-shake them. TypeScript and JSX are compiled first so the
+      // manifest is read from plain JavaScript, and the sandbox check sees
+      // the code as bundled
+      plugins: [
+        aliasPlugin({ aliases }),
+        typeScriptPlugin(),
+        nodeResolve({
+          browser: true,
+          preferBuiltins: false,
+          extensions: [".mjs", ".js", ".jsx", ".ts", ".tsx"],
+        }),
+        commonjs(),
+        manifestPlugin(),
+        ...(sandbox ? [sandboxPlugin({ ...sandbox, violations })] : []),
+      ],
+      onwarn(warning, warn) {
+        // Suppress certain warnings if needed
+        if (warning.code === "CIRCULAR_DEPENDENCY") return;
+        // An unresolved import would be left as a global the sandbox doesn't
+        // have, so fail the build instead
+        if (warning.code === "UNRESOLVED_IMPORT") {
+          throw new Error(
+            `Could not resolve '${warning.exporter}' imported by ${warning.id}. Install the package or add an alias for it`
+          );
+        }
+        warn(warning);
+      },
+    });
+
+    if (violations.length > 0) {
+      for (const violation of violations) {
+        console.error(chalk.red(formatSandboxViolation(violation)));
+      }
+      console.error(
+        chalk.red(
+          `Found ${violations.length} use(s) of APIs outside the script sandbox`
+        )
+      );
+      await bundle.close();
+      return { success: false, blueprint: null, violations };
+    }
+
+    // Generate the output. The source map is written next to the script
+    // without a sourceMappingURL comment, since the script is stored under
+    // its hash and the map is looked up from that. Sources are recorded
+    // relative to the working directory so the map stays usable wherever
+    // it is stored
+    const { output } = await bundle.write({
+      file: outputPath,
+      format: "iife",
+      plugins: [...(minify ? [terser()] : []), bannerPlugin(SCRIPT_BANNER)],
+      sourcemap: "hidden",
+      sourcemapPathTransform: (relativeSourcePath, sourcemapPath) =>
+        path.relative(
+          process.cwd(),
+          path.resolve(path.dirname(sourcemapPath), relativeSourcePath)
+        ),
+    });
+
+    // Keep the cache and module graph for incremental rebuilds, and each
+    // module's share of the script for size reports
+    const chunk = output.find((item) => item.type === "chunk");
+    const buildInfo = {
+      cache: bundle.cache,
+      watchFiles: bundle.watchFiles,
+      mapPath: `${outputPath}.map`,
+      modules: Object.entries(chunk.modules).map(([id, info]) => ({
+        id,
+        renderedLength: info.renderedLength,
+        originalLength: info.originalLength,
+      })),
+    };
+
+    // Close the bundle
+    await bundle.close();
+
+    // Check if we have a blueprint.json in the output assets
+    const blueprintAsset = output.find(
+      (asset) => asset.fileName === "blueprint.json" && asset.type === "asset"
+    );
+
+    if (blueprintAsset) {
+      // Parse the blueprint data to validate it
+      let blueprintData;
+      try {
+        blueprintData = JSON.parse(blueprintAsset.source);
+        console.log(
+          chalk.green("Successfully extracted manifest:"),
+          Object.keys(blueprintData).join(", ")
+        );
+      } catch (err) {
+        console.error(chalk.red("Failed to parse extracted manifest:"), err);
+        return { success: true, blueprint: null, ...buildInfo };
+      }
+
+      // Write the blueprint.json to the app directory
+      fs.writeFileSync(
+        path.join(appDir, "blueprint.json"),
+        blueprintAsset.source
+      );
+      console.log(chalk.green("Extracted manifest to blueprint.json"));
+
+      return {
+        success: true,
+        blueprint: blueprintData,
+        ...buildInfo,
+      };
+    } else {
+      console.warn(chalk.yellow("No manifest found in script file"));
+      return { success: true, blueprint: null, ...buildInfo };
+    }
+  } catch (error) {
+    console.error(chalk.red("Rollup build error:"), error);
+    return { success: false, blueprint: null, error };
+  }
+}
+
+// The paths findAsset tries for an asset, in the order it tries them
+function getAssetCandidates(assetPath, searchDirs) {
+  // Strip asset:// prefix if present
+  const cleanPath = assetPath.startsWith("asset://")
+    ? assetPath.substring(8)
+    : assetPath;
+
+  // An absolute path names exactly one file
+  if (path.isAbsolute(cleanPath)) {
+    return [cleanPath];
+  }
+
+  // Try as a filename in each search directory, then as a path relative to
+  // each search directory, and last as provided path
+  const fileName = path.basename(cleanPath);
+  return [
+    ...searchDirs.map((dir) => path.join(dir, fileName)),
+    ...searchDirs.map((dir) => path.join(dir, cleanPath)),
+    cleanPath,
+  ];
+}
+
+/**
+ * Locates an asset file based on a relative path or filename. The search
+ * directories come first, so an app's own assets win over files of the same
+ * name elsewhere; a relative path is only tried as given (from the working
+ * directory) when no search directory has the file
+ * @param {string} assetPath - Asset path or filename
+ * @param {string[]} searchDirs - Directories to search in order of priority
+ * @returns {object|null} - Object with originalPath and fileName or null if not found
+ */
+export function findAsset(assetPath, searchDirs) {
+  const found = getAssetCandidates(assetPath, searchDirs).find((candidate) =>
+    fs.existsSync(candidate)
+  );
+  return found ? { originalPath: found, fileName: path.basename(found) } : null;
+}
+
+/**
+ * Process assets from a blueprint object
+ * @param {object} blueprint - The blueprint object
+ * @param {object} options - Options object
+ * @param {string} options.appDir - Output directory for the app
+ * @param {string[]} options.searchDirs - Directories to search for assets
+ * @param {string} options.globalAssetsDir - Global assets directory
+ * @returns {Promise<object>} - Updated blueprint, list of copied assets,
+ *   warnings about assets that couldn't be found, and the paths searched for
+ *   each asset up to the one used (all of them for a missing asset), since
+ *   a file appearing at one of them changes what the app builds to
+ */
+export async function processAssets(blueprint, options) {
+  const { appDir, searchDirs, globalAssetsDir } = options;
+  const assetsCopied = [];
+  const warnings = [];
+  const searchedPaths = new Set();
+  const storedUrls = new Map();
+
+  // Ensure global assets directory exists
+  ensureDir(globalAssetsDir);
+
+  // Process every asset referenced by the blueprint. The script is built
+  // separately, so it is left alone here
+  const refs = findAssetRefs(blueprint, { includePaths: true }).filter(
+    (ref) => ref.field !== "script"
+  );
+  for (const ref of refs) {
+    if (storedUrls.has(ref.url)) continue;
+
+    const asset = findAsset(ref.url, searchDirs);
+    const candidates = getAssetCandidates(ref.url, searchDirs);
+    const searched = asset
+      ? candidates.slice(0, candidates.indexOf(asset.originalPath) + 1)
+      : candidates;
+    searched.forEach((candidate) => searchedPaths.add(candidate));
+
+    if (!asset) {
+      const warning = `Asset not found: ${ref.url} (${ref.field})`;
+      console.warn(chalk.yellow(`Warning: ${warning}`));
+      warnings.push(warning);
+      continue;
+    }
+
+    // Store asset in global assets folder
+    const assetInfo = await storeAsset(
+      asset.originalPath,
+      globalAssetsDir,
+      options.verbose
+    );
+    if (!assetInfo) continue;
+    storedUrls.set(ref.url, assetInfo);
+
+    // The same file can be referenced in several ways, such as `model.glb`
+    // and `asset://model.glb`, but is only one asset of the app
+    if (assetsCopied.some((copied) => copied.filename === assetInfo.filename)) {
+      continue;
+    }
+
+    if (ref.field === "model") {
+      assetsCopied.push({ ...assetInfo, type: "model", field: ref.field });
+    } else if (ref.field === "image.url") {
+      assetsCopied.push({ ...assetInfo, type: "image", field: ref.field });
+    } else {
+      assetsCopied.push({
+        ...assetInfo,
+        type: "prop",
+        propKey: ref.path[0] === "props" ? ref.path[1] : undefined,
+        field: ref.field,
+      });
+    }
+  }
+
+  // Update blueprint references to use the new asset paths
+  const updatedBlueprint = rewriteAssetRefs(
+    blueprint,
+    (url, ref) =>
+      ref.field !== "script" && storedUrls.has(url)
+        ? `asset://${storedUrls.get(url).filename}`
+        : undefined,
+    { includePaths: true }
+  );
+
+  // Save app metadata with assets info
+  const metadataPath = path.join(appDir, "app-metadata.json");
+  fs.writeFileSync(
+    metadataPath,
+    JSON.stringify(
+      {
+        processedAt: new Date().toISOString(),
+        assets: assetsCopied,
+      },
+      null,
+      2
+    )
+  );
+
+  if (options.verbose) {
+    console.log(chalk.green(`Saved metadata to: ${metadataPath}`));
+  }
+
+  return {
+    blueprint: updatedBlueprint,
+    assets: assetsCopied,
+    warnings,
+    searchedPaths: [...searchedPaths],
+  };
+}
+
+// Source file extensions that can be built as apps
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx"];
+
+// How often watched files are polled, and how long to wait for a burst of
+// changes (such as an editor saving several files) to settle before building
+const WATCH_INTERVAL = 250;
+const WATCH_DEBOUNCE = 100;
+
+// Find the entry file of a directory-per-app source, `<name>/index.js` (or
+// another source extension)
+function findAppIndex(dir) {
+  for (const ext of SOURCE_EXTENSIONS) {
+    const filePath = path.join(dir, `index${ext}`);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+// Find the source files of the apps to build. An app is either a flat
+// `<name>.js` script, with an optional `<name>.json` blueprint next to it, or
+// a self-contained `<name>/` directory holding index.js, manifest.json and
+// an assets folder. Omitting app names selects every app in the apps
+// directory
+export function findAppSources(appsDir, appNames) {
+  if (appNames.length === 0) {
+    const apps = [];
+    const entries = fs.readdirSync(appsDir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (
+        entry.isFile() &&
+        SOURCE_EXTENSIONS.includes(path.extname(entry.name)) &&
+        !entry.name.endsWith(".d.ts")
+      ) {
+        apps.push({
+          name: path.basename(entry.name, path.extname(entry.name)),
+          path: path.join(appsDir, entry.name),
+        });
+      }
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const dir = path.join(appsDir, entry.name);
+      const indexPath = findAppIndex(dir);
+      if (!indexPath) continue;
+
+      if (apps.some((app) => app.name === entry.name)) {
+        console.warn(
+          chalk.yellow(
+            `Warning: Both a script and a directory named '${entry.name}' found in ${appsDir}, building the script`
+          )
+        );
+        continue;
+      }
+      apps.push({ name: entry.name, path: indexPath, dir });
+    }
+
+    return apps;
+  }
+
+  return appNames
+    .map((name) => {
+      // Try different extensions
+      for (const ext of SOURCE_EXTENSIONS) {
+        const filePath = path.join(appsDir, `${name}${ext}`);
+        if (fs.existsSync(filePath)) {
+          return {
+            name,
+            path: filePath,
+          };
+        }
+      }
+
+      // Then a directory with an index file
+      const dir = path.join(appsDir, name);
+      const indexPath = findAppIndex(dir);
+      if (indexPath) {
+        return { name, path: indexPath, dir };
+      }
+
+      console.error(
+        chalk.red(`Error: Source file for '${name}' not found in ${appsDir}`)
+      );
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// The blueprint JSON used when an app's source has no inline manifest: the
+// manifest.json of a directory app, or `<name>.json` next to a flat script
+function getAppBlueprintPath(app, appsDir) {
+  return app.dir
+    ? path.join(app.dir, "manifest.json")
+    : path.join(appsDir, `${app.name}.json`);
+}
+
+// Find the scripts to type-check: every app source, plus the scripts that
+// JSON blueprints in the apps directory reference by file path (resolved
+// from the apps directory or the working directory)
+export function findCheckSources(appsDir, appNames) {
+  const sources = findAppSources(appsDir, []);
+
+  for (const file of fs.readdirSync(appsDir)) {
+    const name = path.basename(file, ".json");
+    if (
+      path.extname(file) !== ".json" ||
+      sources.some((source) => source.name === name)
+    ) {
+      continue;
+    }
+
+    let blueprint;
+    try {
+      blueprint = JSON.parse(fs.readFileSync(path.join(appsDir, file), "utf8"));
+    } catch {
+      continue;
+    }
+    const script = blueprint?.script;
+    if (typeof script !== "string" || script.includes("://")) continue;
+
+    const scriptPath = [appsDir, process.cwd()]
+      .map((dir) => path.resolve(dir, script))
+      .find((candidate) => fs.existsSync(candidate));
+    if (scriptPath) {
+      sources.push({ name, path: scriptPath });
+    }
+  }
+
+  if (appNames.length === 0) {
+    return sources;
+  }
+
+  return appNames
+    .map((name) => {
+      const source = sources.find((candidate) => candidate.name === name);
+      if (!source) {
+        console.error(
+          chalk.red(`Error: Source file for '${name}' not found in ${appsDir}`)
+        );
+      }
+      return source;
+    })
+    .filter(Boolean);
+}
+
+// Load the budgets file named by --budgets, or ./budgets.json if it exists
+export function loadBudgets(options) {
+  const budgetsPath =
+    options.budgets ??
+    (fs.existsSync("./budgets.json") ? "./budgets.json" : null);
+  if (!budgetsPath) {
+    return {};
+  }
+  if (!fs.existsSync(budgetsPath)) {
+    throw new Error(`Budgets file '${budgetsPath}' not found`);
+  }
+  return readBudgetsFile(budgetsPath);
+}
+
+// Load the import aliases from --aliases, or ./aliases.json when it exists
+export function loadAliases(options) {
+  const aliasesPath =
+    options.aliases ??
+    (fs.existsSync("./aliases.json") ? "./aliases.json" : null);
+  if (!aliasesPath) {
+    return {};
+  }
+  if (!fs.existsSync(aliasesPath)) {
+    throw new Error(`Aliases file '${aliasesPath}' not found`);
+  }
+  return readAliasesFile(aliasesPath);
+}
+
+// Load the extra globals allowed by the fork named by --fork
+export function loadSandboxAllowlist(options) {
+  return options.fork ? readForkAllowlist(options.forksFile, options.fork) : [];
+}
+
+// Measure a built app: its script, and the total size of the distinct asset
+// files (the script included) that make up its payload
+function getAppSizes(scriptPath, assets, globalAssetsDir) {
+  const files = new Set(assets.map((asset) => asset.filename));
+  let assetsSize = 0;
+  for (const file of files) {
+    assetsSize += fs.statSync(path.join(globalAssetsDir, file)).size;
+  }
+  return { script: fs.statSync(scriptPath).size, assets: assetsSize };
+}
+
+// Print an app's sizes against its budget. The per-module breakdown of the
+// script is shown when asked for, or when the script is over budget
+function reportAppSizes(modules, sizes, budget, exceeded, options) {
+  for (const [kind, label] of Object.entries(BUDGET_KINDS)) {
+    if (budget[kind] === undefined && !options.sizeReport) continue;
+
+    const over = exceeded.some((limit) => limit.kind === kind);
+    const text = `Size of ${label}: ${formatBytes(sizes[kind])}${budget[kind] !== undefined ? ` (budget ${formatBytes(budget[kind])})` : ""}`;
+    console.log(over ? chalk.red(text) : chalk.dim(text));
+  }
+
+  if (
+    !options.sizeReport &&
+    !exceeded.some((limit) => limit.kind === "script")
+  ) {
+    return;
+  }
+
+  console.log(
+    chalk.dim(
+      `Script modules by size${options.minify ? " (before minification)" : ""}:`
+    )
+  );
+  const sorted = [...modules].sort(
+    (a, b) => b.renderedLength - a.renderedLength
+  );
+  for (const module of sorted) {
+    console.log(
+      chalk.dim(
+        `  ${formatBytes(module.renderedLength).padStart(10)}  ${path.relative(process.cwd(), module.id)}`
+      )
+    );
+  }
+}
+
+/**
+ * Build one app from source: bundle its script, store the script and the
+ * assets its blueprint references in the global assets folder, and write the
+ * app directory
+ * @param {object} app - App name, source path and, for directory apps, the
+ *   app directory
+ * @param {object} options - Build options (output, appsDir, assetsDir,
+ *   globalAssets, cacheDir, verbose, minify, sizeReport, sandboxCheck,
+ *   budgets as loaded by loadBudgets and sandboxAllow as loaded by
+ *   loadSandboxAllowlist)
+ * @param {object} [cache] - Rollup cache from a previous build of the app
+ * @returns {Promise<object>} - The built app with its name, dir, blueprint,
+ *   assets, asset warnings, rollup cache and watched files
+ * @throws {BuildError} - If the app fails to build
+ */
+async function buildAppDir(app, options, cache) {
+  console.log(chalk.blue(`\nProcessing app: ${app.name}`));
+
+  // Create app directory
+  const appDir = path.join(options.output, app.name);
+  ensureDir(appDir);
+
+  // Build the script
+  console.log(chalk.dim(`Building script: ${app.path}`));
+
+  const outDir = path.join(options.cacheDir, app.name);
+  ensureDir(outDir);
+
+  const outputPath = path.join(outDir, "script.js");
+
+  try {
+    // Use Rollup programmatically with our manifest plugin
+    const result = await buildWithRollup(app.path, outputPath, appDir, cache, {
+      minify: options.minify,
+      sandbox: options.sandboxCheck ? { allow: options.sandboxAllow } : null,
+      aliases: options.aliases,
+    });
+
+    if (!result.success) {
+      throw new BuildError(`Failed to build script for ${app.name}`, {
+        app: app.name,
+        violations: result.violations,
+        cause: result.error,
+      });
+    }
+
+    console.log(chalk.green(`Script built successfully: ${outputPath}`));
+
+    // Hash the built script file and store in global assets
+    const scriptAssetInfo = await storeAsset(
+      outputPath,
+      options.globalAssets,
+      options.verbose
+    );
+
+    if (!scriptAssetInfo) {
+      throw new BuildError(`Failed to store script asset for ${app.name}`, {
+        app: app.name,
+      });
+    }
+
+    console.log(
+      chalk.green(`Stored script in global assets: ${scriptAssetInfo.filename}`)
+    );
+
+    // Store the script's source map next to it, for `apps trace`
+    const sourceMap = JSON.parse(fs.readFileSync(result.mapPath, "utf8"));
+    sourceMap.file = scriptAssetInfo.filename;
+    fs.writeFileSync(
+      path.join(
+        options.globalAssets,
+        getSourceMapFileName(scriptAssetInfo.filename)
+      ),
+      JSON.stringify(sourceMap)
+    );
+    if (options.verbose) {
+      console.log(
+        chalk.green(
+          `Stored source map: ${getSourceMapFileName(scriptAssetInfo.filename)}`
+        )
+      );
+    }
+
+    // If we have a blueprint from the manifest, process assets
+    let blueprintData = result.blueprint;
+
+    // If no manifest was found in the source, check for existing blueprint
+    if (!blueprintData) {
+      const existingBlueprintPath = getAppBlueprintPath(app, options.appsDir);
+      if (fs.existsSync(existingBlueprintPath)) {
+        console.log(
+          chalk.yellow(
+            `No manifest found, using existing blueprint: ${existingBlueprintPath}`
+          )
+        );
+        blueprintData = JSON.parse(
+          fs.readFileSync(existingBlueprintPath, "utf8")
+        );
+      } else {
+        // Create a basic blueprint
+        console.log(
+          chalk.yellow(
+            `No manifest or blueprint found, creating basic blueprint`
+          )
+        );
+        blueprintData = {
+          name: app.name,
+          script: `asset://${scriptAssetInfo.filename}`,
+        };
+      }
+    }
+
+    // The budget only applies to the build and isn't part of the blueprint
+    const { budget: manifestBudget, ...blueprintFields } = blueprintData;
+    blueprintData = blueprintFields;
+
+    // Update the script path in the blueprint
+    blueprintData.script = `asset://${scriptAssetInfo.filename}`;
+
+    // Process assets using our helper function. A directory app's own assets
+    // folder is searched first, so it doesn't depend on shared assets
+    const searchDirs = [
+      ...(app.dir ? [path.join(app.dir, "assets")] : []),
+      ...[].concat(options.assetsDir),
+      path.dirname(app.path),
+      process.cwd(),
+    ];
+
+    const {
+      blueprint: updatedBlueprint,
+      assets: copiedAssets,
+      warnings,
+      searchedPaths,
+    } = await processAssets(blueprintData, {
+      appDir,
+      searchDirs,
+      globalAssetsDir: options.globalAssets,
+      verbose: options.verbose,
+    });
+
+    // Add script to assets list
+    copiedAssets.push({
+      ...scriptAssetInfo,
+      type: "script",
+    });
+
+    // Log copied assets
+    for (const asset of copiedAssets) {
+      if (asset.type !== "script") {
+        // Skip script asset as already logged
+        console.log(
+          chalk.green(
+            `Processed ${asset.type}${asset.propKey ? ` (${asset.propKey})` : ""}: ${path.basename(asset.originalPath)} → ${asset.filename}`
+          )
+        );
+      }
+    }
+
+    // Check the script and total asset payload against the app's budget
+    const budget = resolveBudget(app.name, manifestBudget, options.budgets);
+    const sizes = getAppSizes(outputPath, copiedAssets, options.globalAssets);
+    const exceeded = checkBudget(budget, sizes);
+    reportAppSizes(result.modules, sizes, budget, exceeded, options);
+    if (exceeded.length > 0) {
+      throw new BuildError(`App ${app.name} is over its size budget`, {
+        app: app.name,
+        exceeded,
+      });
+    }
+
+    // Save updated blueprint to app directory
+    const blueprintDestPath = path.join(appDir, "blueprint.json");
+    fs.writeFileSync(
+      blueprintDestPath,
+      JSON.stringify(updatedBlueprint, null, 2)
+    );
+    console.log(chalk.green(`Saved blueprint to: ${blueprintDestPath}`));
+
+    console.log(chalk.green(`Successfully built app: ${app.name}`));
+
+    return {
+      name: app.name,
+      dir: appDir,
+      blueprint: updatedBlueprint,
+      assets: copiedAssets,
+      warnings,
+      cache: result.cache,
+      // Paths searched for assets are watched too, so an asset that was
+      // missing or is added to a search dir ahead of the one used rebuilds
+      // the app
+      watchFiles: [...result.watchFiles, ...searchedPaths],
+    };
+  } catch (error) {
+    if (error instanceof BuildError) throw error;
+    throw new BuildError(
+      `Error building script for ${app.name}: ${error.message}`,
+      { app: app.name, cause: error }
+    );
+  }
+}
+
+// Hash the build settings that change what an app builds to, so cached
+// builds made with different settings aren't reused
+function getBuildSettings(options) {
+  return hashData(
+    JSON.stringify({
+      output: path.resolve(options.output),
+      globalAssets: path.resolve(options.globalAssets),
+      assetsDir: [].concat(options.assetsDir).map((dir) => path.resolve(dir)),
+      minify: Boolean(options.minify),
+      sandboxCheck: options.sandboxCheck,
+      sandboxAllow: options.sandboxAllow,
+      aliases: options.aliases,
+      budgets: options.budgets,
+    })
+  );
+}
+
+/**
+ * Build an app unless the build cache shows nothing it is built from has
+ * changed since its last build. Forced builds (--force) always build
+ * @param {object} app - App name, source path and app directory
+ * @param {object} options - Build options, as for buildAppDir, plus force
+ * @param {object} [cache] - Rollup cache from a previous build of the app
+ * @returns {Promise<object>} - The built app, marked as cached when the
+ *   previous build was reused
+ * @throws {BuildError} - If the app fails to build
+ */
+async function buildAppCached(app, options, cache) {
+  const settings = getBuildSettings(options);
+  if (!options.force) {
+    const cachedApp = readBuildCache(
+      options.cacheDir,
+      app.name,
+      settings,
+      options.globalAssets
+    );
+    if (cachedApp) {
+      console.log(chalk.dim(`\nUnchanged since last build: ${app.name}`));
+      return { ...cachedApp, cached: true };
+    }
+  }
+
+  const builtApp = await buildAppDir(app, options, cache);
+  writeBuildCache(
+    options.cacheDir,
+    builtApp,
+    getAppWatchFiles(app, builtApp, options),
+    settings
+  );
+  return builtApp;
+}
+
+// Run an app build for the CLI, printing why it failed instead of throwing.
+// The underlying error is shown with --verbose
+async function tryBuildApp(build, options) {
+  try {
+    return await build();
+  } catch (error) {
+    if (!(error instanceof BuildError)) throw error;
+    console.error(chalk.red(error.message));
+    if (options.verbose && error.cause) {
+      console.error(error.cause);
+    }
+    return null;
+  }
+}
+
+// Holds the output of the app build running in the current async context,
+// while several build at once
+const buildOutput = new AsyncLocalStorage();
+
+// The console methods replaced while builds are buffered, and how many
+// buildApps calls are buffering
+const CONSOLE_METHODS = ["log", "warn", "error"];
+let consoleWriters = null;
+let consoleBufferCount = 0;
+
+// Route console output from inside a buffered build to its buffer, so apps
+// building side by side don't interleave their logs. Returns a function that
+// puts the console back once the last buffering build is done
+function bufferConsole() {
+  if (consoleBufferCount++ === 0) {
+    consoleWriters = {};
+    for (const method of CONSOLE_METHODS) {
+      const original = console[method];
+      const write = original.bind(console);
+      consoleWriters[method] = original;
+      console[method] = (...args) => {
+        const buffer = buildOutput.getStore();
+        if (buffer) {
+          buffer.push(() => write(...args));
+        } else {
+          write(...args);
+        }
+      };
+    }
+  }
+
+  return () => {
+    if (--consoleBufferCount > 0) return;
+    Object.assign(console, consoleWriters);
+    consoleWriters = null;
+  };
+}
+
+/**
+ * Build apps, skipping unchanged ones and building up to options.jobs apps
+ * at a time. Each app's output is printed in one piece once it finishes
+ * @param {object[]} appFiles - App names and source paths
+ * @param {object} options - Build options, as for buildApp, plus jobs
+ * @returns {Promise<object[]>} - The apps that built, in the order given,
+ *   each with the milliseconds its build took as buildTime
+ */
+export async function buildApps(appFiles, options) {
+  const results = new Array(appFiles.length).fill(null);
+  const jobs = Math.min(options.jobs ?? 1, appFiles.length);
+  const restoreConsole = jobs > 1 ? bufferConsole() : null;
+
+  let next = 0;
+  const worker = async () => {
+    while (next < appFiles.length) {
+      const index = next++;
+      const app = appFiles[index];
+      const build = () =>
+        tryBuildApp(
+          () => buildApp(app.dir ?? app.path, { ...options, name: app.name }),
+          options
+        );
+
+      const startTime = performance.now();
+      if (jobs === 1) {
+        results[index] = await build();
+      } else {
+        const output = [];
+        try {
+          results[index] = await buildOutput.run(output, build);
+        } finally {
+          output.forEach((write) => write());
+        }
+      }
+
+      if (results[index]) {
+        results[index].buildTime = Math.round(performance.now() - startTime);
+      }
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: jobs }, worker));
+  } finally {
+    restoreConsole?.();
+  }
+
+  return results.filter(Boolean);
+}
+
+// Parse the --jobs option, defaulting to one build per CPU
+export function parseJobs(value) {
+  if (value === undefined) {
+    return os.cpus().length || 1;
+  }
+  const jobs = Number.parseInt(value, 10);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Invalid job count '${value}', expected a number above 0`);
+  }
+  return jobs;
+}
+
+/**
+ * Check each app's manifest props against the fields its script declares
+ * with app.configure, printing the problems found
+ * @param {object[]} appFiles - App names and source paths
+ * @param {string} appsDir - Apps directory, for blueprint JSON fallbacks
+ * @param {object} [aliases] - Import aliases, as returned by loadAliases
+ * @returns {object} - Counts of errors and warnings
+ */
+export function lintApps(appFiles, appsDir, aliases = {}) {
+  let errorCount = 0;
+  let warningCount = 0;
+
+  for (const app of appFiles) {
+    console.log(chalk.blue(`\nLinting app: ${app.name}`));
+
+    // Use the inline manifest, falling back to a blueprint JSON like build
+    let manifest;
+    try {
+      manifest = extractManifest(
+        readSourceAsJavaScript(app.path),
+        app.path
+      )?.manifest;
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      errorCount++;
+      continue;
+    }
+
+    const blueprintPath = getAppBlueprintPath(app, appsDir);
+    if (!manifest && fs.existsSync(blueprintPath)) {
+      manifest = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
+    }
+    if (!manifest) {
+      console.log(chalk.dim("No manifest or blueprint found, skipping"));
+      continue;
+    }
+
+    const { fields, problems } = readConfigureFields(app.path, aliases);
+    for (const problem of problems) {
+      console.warn(chalk.yellow(`Warning: ${problem}`));
+      warningCount++;
+    }
+
+    const issues = lintProps(manifest.props || {}, fields);
+    for (const issue of issues) {
+      if (issue.level === "error") {
+        console.error(chalk.red(`Error (${issue.kind}): ${issue.message}`));
+        errorCount++;
+      } else {
+        console.warn(chalk.yellow(`Warning (${issue.kind}): ${issue.message}`));
+        warningCount++;
+      }
+    }
+
+    if (issues.length === 0 && problems.length === 0) {
+      console.log(chalk.green("No problems found"));
+    }
+  }
+
+  console.log(
+    chalk[errorCount > 0 ? "red" : warningCount > 0 ? "yellow" : "green"](
+      `\nLint finished with ${errorCount} error(s) and ${warningCount} warning(s)`
+    )
+  );
+  return { errorCount, warningCount };
+}
+
+/**
+ * Write a JSON report of what a build produced, for release tooling to
+ * archive next to the packaged apps: for each app its source, blueprint,
+ * script and assets with their hashes and sizes, asset warnings and timing.
+ * Apps that failed to build are listed with status "failed"
+ * @param {string} reportPath - Where to write the report
+ * @param {object[]} appFiles - The apps that were built
+ * @param {object[]} builtApps - The apps that built successfully
+ * @param {object} details - Build details
+ * @param {number} details.startTime - When the build started, from
+ *   performance.now()
+ * @param {Map} [details.packages] - Package paths by app name
+ * @param {object} options - Build command options
+ */
+export function writeBuildReport(
+  reportPath,
+  appFiles,
+  builtApps,
+  details,
+  options
+) {
+  const describeAsset = (asset) => ({
+    type: asset.type,
+    field: asset.field,
+    propKey: asset.propKey,
+    source: path.relative(process.cwd(), asset.originalPath),
+    filename: asset.filename,
+    hash: asset.hash,
+    size: fs.statSync(path.join(options.globalAssets, asset.filename)).size,
+  });
+
+  const apps = appFiles.map((app) => {
+    const builtApp = builtApps.find((built) => built.name === app.name);
+    const source = path.relative(process.cwd(), app.path);
+    if (!builtApp) {
+      return { name: app.name, source, status: "failed" };
+    }
+
+    const script = builtApp.assets.find((asset) => asset.type === "script");
+    return {
+      name: app.name,
+      source,
+      status: builtApp.cached ? "unchanged" : "built",
+      buildTime: builtApp.buildTime,
+      blueprint: builtApp.blueprint,
+      script: {
+        filename: script.filename,
+        hash: script.hash,
+        size: describeAsset(script).size,
+      },
+      assets: builtApp.assets
+        .filter((asset) => asset.type !== "script")
+        .map(describeAsset),
+      warnings: builtApp.warnings ?? [],
+      package: details.packages?.has(app.name)
+        ? path.relative(process.cwd(), details.packages.get(app.name))
+        : undefined,
+    };
+  });
+
+  const report = {
+    createdAt: new Date().toISOString(),
+    buildTime: Math.round(performance.now() - details.startTime),
+    output: options.output,
+    globalAssets: options.globalAssets,
+    minify: Boolean(options.minify),
+    apps,
+  };
+
+  ensureDir(path.dirname(path.resolve(reportPath)));
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  console.log(chalk.green(`Saved build report to: ${reportPath}`));
+}
+
+// Package built apps as .hyp files in the package directory, returning the
+// path of each app's package by app name. The config can package an app to
+// its own path, or leave it out or in regardless of --package
+export async function packageApps(builtApps, options) {
+  console.log(chalk.blue("\nPackaging apps as .hyp files..."));
+
+  const packages = new Map();
+  for (const app of builtApps) {
+    const { package: packagePath } = getAppOptions(app.name, options);
+    if (!packagePath) continue;
+
+    try {
+      const { path: hypPath } = await packDirectory(
+        app.dir,
+        typeof packagePath === "string"
+          ? packagePath
+          : path.join(options.packageDir, `${app.name}.hyp`),
+        options.globalAssets,
+        { verbose: options.verbose, compress: options.compress }
+      );
+
+      console.log(chalk.green(`Packaged ${app.name} to: ${hypPath}`));
+      packages.set(app.name, hypPath);
+    } catch (error) {
+      console.error(chalk.red(`Error packaging ${app.name}: ${error.message}`));
+    }
+  }
+
+  console.log(
+    chalk.green(`\nPackaging complete. ${packages.size} app(s) packaged`)
+  );
+  return packages;
+}
+
+// Files a built app depends on: its source modules, the asset files its
+// blueprint was built from and the paths searched for them, and the JSON
+// blueprint used when the source has no manifest. The built script is
+// excluded so writing it doesn't retrigger a build
+function getAppWatchFiles(app, builtApp, options) {
+  const files = [
+    app.path,
+    getAppBlueprintPath(app, options.appsDir),
+    ...(builtApp?.watchFiles || []),
+    ...(builtApp?.assets || [])
+      .filter((asset) => asset.type !== "script")
+      .map((asset) => asset.originalPath),
+  ];
+  return new Set(
+    files
+      .filter((file) => file && !file.includes("\0"))
+      .map((file) => path.resolve(file))
+  );
+}
+
+/**
+ * Watch apps and rebuild them when their sources or assets change. Each app
+ * keeps its rollup cache, so only changed modules are transformed again, and
+ * a change only rebuilds the apps that depend on the changed file. Runs until
+ * the process is interrupted
+ * @param {string[]} appNames - App names being built (empty for all apps)
+ * @param {object[]} appFiles - App names and source paths
+ * @param {object[]} builtApps - Apps from the initial build
+ * @param {object} options - Build command options
+ */
+export function watchApps(appNames, appFiles, builtApps, options) {
+  const states = new Map();
+  const listeners = new Map();
+  const changedFiles = new Set();
+  const addedApps = new Set();
+  let timer = null;
+  let building = false;
+
+  const scheduleBuild = () => {
+    clearTimeout(timer);
+    timer = setTimeout(runBuild, WATCH_DEBOUNCE);
+  };
+
+  // Watch the files every app depends on, and stop watching files no app
+  // uses any more
+  const updateWatchers = () => {
+    const files = new Set();
+    for (const state of states.values()) {
+      for (const file of state.files) files.add(file);
+    }
+
+    for (const file of files) {
+      if (listeners.has(file)) continue;
+      const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        changedFiles.add(file);
+        scheduleBuild();
+      };
+      fs.watchFile(file, { interval: WATCH_INTERVAL }, listener);
+      listeners.set(file, listener);
+    }
+
+    for (const [file, listener] of listeners) {
+      if (files.has(file)) continue;
+      fs.unwatchFile(file, listener);
+      listeners.delete(file);
+    }
+  };
+
+  const runBuild = async () => {
+    if (building) return;
+    building = true;
+
+    try {
+      while (changedFiles.size > 0 || addedApps.size > 0) {
+        const files = [...changedFiles];
+        changedFiles.clear();
+
+        const affected = [...states.values()].filter(
+          (state) =>
+            addedApps.has(state.app.name) ||
+            files.some((file) => state.files.has(file))
+        );
+        addedApps.clear();
+
+        if (affected.length === 0) continue;
+        console.log(
+          chalk.blue(
+            `\nChange detected, rebuilding: ${affected.map((state) => state.app.name).join(", ")}`
+          )
+        );
+
+        const rebuiltApps = [];
+        for (const state of affected) {
+          const builtApp = await tryBuildApp(
+            () => buildAppCached(state.app, options, state.cache),
+            options
+          );
+          if (!builtApp) continue;
+
+          state.cache = builtApp.cache ?? state.cache;
+          state.files = getAppWatchFiles(state.app, builtApp, options);
+          rebuiltApps.push(builtApp);
+        }
+        updateWatchers();
+
+        if (rebuiltApps.length === 0) continue;
+        if (
+          rebuiltApps.some((app) => getAppOptions(app.name, options).package)
+        ) {
+          await packageApps(rebuiltApps, options);
+        }
+        if (options.deployDb) {
+          await deployApps(rebuiltApps, {
+            ...options,
+            dbPath: options.deployDb,
+          });
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red("Error during rebuild:"), error);
+    } finally {
+      building = false;
+      console.log(chalk.dim("\nWatching for changes..."));
+    }
+  };
+
+  // Apps start without a rollup cache, which their first rebuild fills
+  for (const app of appFiles) {
+    const builtApp = builtApps.find((built) => built.name === app.name);
+    states.set(app.name, {
+      app,
+      cache: undefined,
+      files: getAppWatchFiles(app, builtApp, options),
+    });
+  }
+  updateWatchers();
+
+  // When building every app, pick up new source files and app directories
+  // added to the apps directory. The watch is recursive so an app directory
+  // is picked up once its index file is written, not only when it's created
+  if (appNames.length === 0) {
+    fs.watch(options.appsDir, { recursive: true }, () => {
+      for (const app of findAppSources(options.appsDir, [])) {
+        if (states.has(app.name)) continue;
+        states.set(app.name, {
+          app,
+          cache: undefined,
+          files: getAppWatchFiles(app, null, options),
+        });
+        addedApps.add(app.name);
+        scheduleBuild();
+      }
+    });
+  }
+
+  console.log(
+    chalk.dim(`\nWatching ${states.size} app(s) for changes, Ctrl+C to stop`)
+  );
+}
+
+// Build settings used by buildApp when not given, matching `apps build`
+const BUILD_DEFAULTS = {
+  output: "./build",
+  assetsDir: "./named-assets",
+  globalAssets: "./assets",
+  cacheDir: "./cache",
+  minify: false,
+  sandboxCheck: true,
+  sandboxAllow: [],
+  aliases: {},
+  budgets: {},
+  force: false,
+  sizeReport: false,
+  verbose: false,
+};
+
+/**
+ * Build an app from source: bundle its script, store the script and the
+ * assets its manifest references in the global assets folder under their
+ * hashes, and write its blueprint.json to the output directory. The previous
+ * build is reused when nothing the app is built from has changed
+ * @param {string} source - Path to the app's script, or to an app directory
+ *   holding an index file, manifest.json and assets folder
+ * @param {object} [options] - Options object
+ * @param {string} [options.name] - App name (default: from the source path)
+ * @param {string} [options.output] - Directory to write the app to
+ * @param {string|string[]} [options.assetsDir] - Directories to find assets
+ *   in, searched in order
+ * @param {string} [options.globalAssets] - Global assets directory
+ * @param {string} [options.cacheDir] - Build cache directory
+ * @param {boolean} [options.minify] - Minify the script
+ * @param {boolean} [options.sandboxCheck] - Fail on APIs outside the script
+ *   sandbox
+ * @param {string[]} [options.sandboxAllow] - Extra globals to allow, as
+ *   returned by readForkAllowlist
+ * @param {object} [options.aliases] - Import aliases, as returned by
+ *   readAliasesFile
+ * @param {object} [options.budgets] - Size budgets, as returned by
+ *   readBudgetsFile
+ * @param {boolean} [options.force] - Build even if the app is unchanged
+ * @returns {Promise<object>} - The built app: name, dir, blueprint, assets
+ *   with their hashes, asset warnings, and whether it was unchanged (cached)
+ * @throws {BuildError} - If the app fails to build
+ */
+export async function buildApp(source, options = {}) {
+  const isDir = fs.existsSync(source) && fs.statSync(source).isDirectory();
+  const scriptPath = isDir ? findAppIndex(source) : source;
+  if (!scriptPath || !fs.existsSync(scriptPath)) {
+    throw new BuildError(`App source not found: ${source}`);
+  }
+
+  const name =
+    options.name ??
+    (isDir
+      ? path.basename(path.resolve(source))
+      : path.basename(source, path.extname(source)));
+  const app = isDir
+    ? { name, path: scriptPath, dir: source }
+    : { name, path: scriptPath };
+
+  const { cache, ...builtApp } = await buildAppCached(app, {
+    ...BUILD_DEFAULTS,
+    appsDir: path.dirname(isDir ? path.resolve(source) : source),
+    ...options,
+  });
+  return { cached: false, ...builtApp };
+}
@@ -0,0 +1,100 @@
+// buildCache.js
+// Remembers what each app was last built from, so a build can skip apps whose
+// source modules, manifest, assets and build settings haven't changed
+
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+// Bump when the cached record or the build output changes shape, so records
+// written by older versions are ignored
+const CACHE_VERSION = 3;
+
+// Stored next to the app's intermediate build files in the cache directory
+const CACHE_FILE = "build.json";
+
+// Hash the contents of each input file, recording missing files as null so
+// a file appearing (such as a blueprint JSON fallback) invalidates the build
+function hashInputs(files) {
+  return Object.fromEntries(
+    [...files]
+      .sort()
+      .map((file) => [
+        file,
+        fs.existsSync(file)
+          ? createHash("sha256").update(fs.readFileSync(file)).digest("hex")
+          : null,
+      ])
+  );
+}
+
+function getCachePath(cacheDir, name) {
+  return path.join(cacheDir, name, CACHE_FILE);
+}
+
+/**
+ * Look up an app's previous build, if it is still current: built with the
+ * same settings, from inputs with the same contents, and with its output
+ * still in place
+ * @param {string} cacheDir - The build cache directory
+ * @param {string} name - The app name
+ * @param {string} settings - Hash of the build settings that affect output
+ * @param {string} globalAssetsDir - Where the app's hashed assets are stored
+ * @returns {object|null} - The built app as returned by the build, without
+ *   a rollup cache, or null if the app needs building
+ */
+export function readBuildCache(cacheDir, name, settings, globalAssetsDir) {
+  const cachePath = getCachePath(cacheDir, name);
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  } catch {
+    return null;
+  }
+  if (record.version !== CACHE_VERSION || record.settings !== settings) {
+    return null;
+  }
+
+  const inputs = hashInputs(Object.keys(record.inputs));
+  if (
+    Object.entries(record.inputs).some(([file, hash]) => inputs[file] !== hash)
+  ) {
+    return null;
+  }
+
+  const { app } = record;
+  const outputs = [
+    path.join(app.dir, "blueprint.json"),
+    ...app.assets.map((asset) => path.join(globalAssetsDir, asset.filename)),
+  ];
+  if (!outputs.every((file) => fs.existsSync(file))) {
+    return null;
+  }
+  return app;
+}
+
+/**
+ * Record an app's build, keyed on the contents of the files it was built from
+ * @param {string} cacheDir - The build cache directory
+ * @param {object} builtApp - The built app
+ * @param {Iterable<string>} inputs - Paths of the source modules, manifest
+ *   and asset files the app was built from
+ * @param {string} settings - Hash of the build settings that affect output
+ */
+export function writeBuildCache(cacheDir, builtApp, inputs, settings) {
+  const { name, dir, blueprint, assets, warnings, watchFiles } = builtApp;
+  const record = {
+    version: CACHE_VERSION,
+    settings,
+    inputs: hashInputs(inputs),
+    app: { name, dir, blueprint, assets, warnings, watchFiles },
+  };
+
+  const cachePath = getCachePath(cacheDir, name);
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(record, null, 2));
+}
@@ -0,0 +1,89 @@
+// checkTypes.js
+// Type-checks app scripts against the ambient declarations of the Hyperfy
+// script globals, so misspelled or undeclared names are caught before deploy
+
+import path from "node:path";
+import { createRequire } from "node:module";
+import {
+  loadTypeScript,
+  readTsConfigOptions,
+} from "./rollupTypeScriptPlugin.js";
+
+// Package declaring the globals scripts run with (app, world, props, ...)
+export const TYPES_PACKAGE = "@repo/hyperfy-types";
+
+const require = createRequire(import.meta.url);
+
+// Locate the declarations of the script globals
+function findTypesEntry() {
+  try {
+    return require.resolve(`${TYPES_PACKAGE}/index.d.ts`);
+  } catch {
+    throw new Error(
+      `Type-checking apps requires the ${TYPES_PACKAGE} package (npm install ${TYPES_PACKAGE})`
+    );
+  }
+}
+
+/**
+ * Type-check app scripts and the modules they import. JavaScript sources are
+ * checked too, using their JSDoc annotations. The nearest tsconfig.json can
+ * override the defaults, but nothing is ever emitted
+ * @param {string[]} files - Paths of the app scripts
+ * @param {string} dir - Directory to look for a tsconfig.json from
+ * @param {object} [extra] - Options object
+ * @param {object} [extra.paths] - Import aliases as TypeScript paths, added
+ *   to any the tsconfig declares
+ * @returns {object[]} - Diagnostics with file, line, column (null for
+ *   diagnostics not tied to a file), code, level (error or warning) and
+ *   message
+ */
+export function checkTypes(files, dir, { paths = {} } = {}) {
+  const ts = loadTypeScript();
+
+  const tsConfigOptions = readTsConfigOptions(dir);
+
+  // Scripts run in a sandbox without DOM or Node globals, so only the
+  // language's own library and the script globals are declared by default
+  const options = {
+    target: ts.ScriptTarget.ES2020,
+    lib: ["lib.es2020.d.ts"],
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    jsx: ts.JsxEmit.React,
+    checkJs: true,
+    skipLibCheck: true,
+    types: [],
+    ...tsConfigOptions,
+    paths: { ...paths, ...tsConfigOptions.paths },
+    allowJs: true,
+    noEmit: true,
+  };
+
+  const program = ts.createProgram({
+    rootNames: [...files.map((file) => path.resolve(file)), findTypesEntry()],
+    options,
+  });
+
+  return ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+    const location = { file: null, line: null, column: null };
+    if (diagnostic.file && diagnostic.start !== undefined) {
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(
+        diagnostic.start
+      );
+      location.file = diagnostic.file.fileName;
+      location.line = line + 1;
+      location.column = character + 1;
+    }
+
+    return {
+      ...location,
+      code: diagnostic.code,
+      level:
+        diagnostic.category === ts.DiagnosticCategory.Error
+          ? "error"
+          : "warning",
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+    };
+  });
+}
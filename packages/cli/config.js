@@ -0,0 +1,174 @@
+// config.js
+// Project settings for the apps and worlds CLIs, read from a hyp.config.js or
+// hyp.config.json at the project root, so commands agree on where apps,
+// assets, builds and the world database live without passing paths each time
+
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+// Looked for in this order in the working directory and each parent
+const CONFIG_FILES = ["hyp.config.js", "hyp.config.json"];
+
+// Settings holding paths, resolved relative to the config file
+const PATH_SETTINGS = [
+  "appsDir",
+  "assetsDir",
+  "globalAssets",
+  "cacheDir",
+  "output",
+  "packageDir",
+  "dbPath",
+  "aliases",
+  "budgets",
+  "forksFile",
+];
+
+// Settings an app can override, named after the options they replace
+const APP_SETTINGS = [
+  "blueprintId",
+  "position",
+  "rotation",
+  "scale",
+  "package",
+];
+
+// Find the config file in a directory or the closest parent that has one
+export function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const configPath = path.join(dir, name);
+      if (fs.existsSync(configPath)) {
+        return configPath;
+      }
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null;
+    }
+    dir = parentDir;
+  }
+}
+
+// Check an app's overrides, resolving a package path relative to the config
+function resolveAppSettings(configPath, name, settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error(`${configPath}: apps.${name}: expected an object`);
+  }
+
+  const baseDir = path.dirname(configPath);
+  return Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => {
+      if (!APP_SETTINGS.includes(key)) {
+        throw new Error(
+          `${configPath}: apps.${name}: unknown setting '${key}' (expected one of ${APP_SETTINGS.join(", ")})`
+        );
+      }
+      if (key === "package" && typeof value === "string") {
+        return [key, path.resolve(baseDir, value)];
+      }
+      return [key, value];
+    })
+  );
+}
+
+/**
+ * Read the project config: hyp.config.js (default export) or hyp.config.json
+ * @param {string} [configPath] - Path to the config file (default: the
+ *   closest hyp.config.js or hyp.config.json)
+ * @returns {Promise<object>} - The settings with their paths made absolute,
+ *   asset search dirs as an array and per-app overrides under `apps`, or an
+ *   empty object when there is no config file
+ */
+export async function loadConfig(configPath = findConfigFile()) {
+  if (!configPath) {
+    return {};
+  }
+  configPath = path.resolve(configPath);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const config =
+    path.extname(configPath) === ".json"
+      ? JSON.parse(fs.readFileSync(configPath, "utf8"))
+      : (await import(pathToFileURL(configPath).href)).default;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${configPath}: expected an object of settings`);
+  }
+
+  const baseDir = path.dirname(configPath);
+  const resolved = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (key === "apps") {
+      resolved.apps = Object.fromEntries(
+        Object.entries(value ?? {}).map(([name, settings]) => [
+          name,
+          resolveAppSettings(configPath, name, settings),
+        ])
+      );
+    } else if (key === "assetsDir") {
+      // One asset search dir or several, searched in order
+      resolved.assetsDir = [].concat(value).map((dir) => {
+        if (typeof dir !== "string") {
+          throw new Error(`${configPath}: assetsDir: expected paths`);
+        }
+        return path.resolve(baseDir, dir);
+      });
+    } else if (PATH_SETTINGS.includes(key)) {
+      if (typeof value !== "string") {
+        throw new Error(`${configPath}: ${key}: expected a path`);
+      }
+      resolved[key] = path.resolve(baseDir, value);
+    } else {
+      throw new Error(
+        `${configPath}: unknown setting '${key}' (expected one of ${[...PATH_SETTINGS, "apps"].join(", ")})`
+      );
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Use config settings for a command's options that weren't given on the
+ * command line, in place of the options' own defaults
+ * @param {import("commander").Command} command - The command about to run
+ * @param {object} defaults - Values by option name (attribute name, e.g.
+ *   `globalAssets` for `--global-assets`)
+ * @param {object} [apps] - Per-app overrides from the config. Overrides of
+ *   options given on the command line are dropped, so those still apply to
+ *   every app
+ */
+export function applyConfig(command, defaults, apps) {
+  const fromCommandLine = (key) => command.getOptionValueSource(key) === "cli";
+
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (defaults[key] === undefined) continue;
+    const source = command.getOptionValueSource(key);
+    if (source !== undefined && source !== "default") continue;
+    command.setOptionValueWithSource(key, defaults[key], "config");
+  }
+
+  if (apps) {
+    command.setOptionValueWithSource(
+      "apps",
+      Object.fromEntries(
+        Object.entries(apps).map(([name, settings]) => [
+          name,
+          Object.fromEntries(
+            Object.entries(settings).filter(([key]) => !fromCommandLine(key))
+          ),
+        ])
+      ),
+      "config"
+    );
+  }
+}
+
+// The options to use for one app: the command's options with the app's
+// overrides from the config applied
+export function getAppOptions(name, options) {
+  return { ...options, ...options.apps?.[name] };
+}
@@ -0,0 +1,249 @@
+// deploy.js
+// Deploys built apps into a world database, copying their assets into the
+// world's assets folder
+
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import { createHash } from "crypto";
+import Knex from "knex";
+
+import { DeployError } from "./errors.js";
+import { getAppOptions } from "./config.js";
+
+// Add a function to connect to the database
+async function getDB(dbPath) {
+  return Knex({
+    client: "better-sqlite3",
+    connection: {
+      filename: dbPath,
+    },
+    useNullAsDefault: true,
+  });
+}
+
+// Parse the entity transform from the deploy command's options, given as
+// comma-separated strings or arrays of numbers
+function parseTransform(options) {
+  const parse = (value) =>
+    Array.isArray(value) ? value : value.split(",").map((v) => parseFloat(v));
+  return {
+    position: parse(options.position),
+    quaternion: parse(options.rotation),
+    scale: parse(options.scale),
+  };
+}
+
+/**
+ * Deploy built apps into a world database: copy their assets into the world
+ * assets folder next to the database, then insert or update their blueprints
+ * @param {object[]} builtApps - Apps with name, dir, blueprint and assets
+ * @param {object} options - Deploy options (dbPath, globalAssets, blueprintId,
+ *   worldId, createEntity, the entity transform and per-app overrides of the
+ *   blueprint ID and transform under `apps`)
+ * @returns {Promise<object[]>} - Each app's name, blueprint ID, and entity ID
+ *   when an entity was created
+ */
+async function deployBuiltApps(builtApps, options) {
+  // Connect to the database
+  console.log(chalk.blue(`\nConnecting to database: ${options.dbPath}`));
+  const db = await getDB(options.dbPath);
+
+  try {
+    // Determine world assets folder path (next to the database)
+    const dbDir = path.dirname(options.dbPath);
+    const worldAssetsDir = path.join(dbDir, "assets");
+
+    // Ensure world assets directory exists
+    if (!fs.existsSync(worldAssetsDir)) {
+      console.log(
+        chalk.blue(`Creating world assets directory: ${worldAssetsDir}`)
+      );
+      fs.mkdirSync(worldAssetsDir, { recursive: true });
+    }
+
+    // Insert or update blueprints in the database
+    const deployed = [];
+    for (const app of builtApps) {
+      console.log(chalk.blue(`\nDeploying app: ${app.name}`));
+      const blueprint = app.blueprint;
+      const appOptions = getAppOptions(app.name, options);
+
+      // Set custom blueprint ID if provided
+      if (appOptions.blueprintId) {
+        blueprint.id = appOptions.blueprintId;
+      } else if (!blueprint.id) {
+        blueprint.id = createHash("sha256")
+          .update(app.name)
+          .digest("hex")
+          .substr(0, 32);
+      }
+
+      // Add world ID if provided
+      if (options.worldId) {
+        blueprint.worldId = options.worldId;
+      }
+
+      // Save blueprint with its deploy fields to the app directory
+      fs.writeFileSync(
+        path.join(app.dir, "blueprint.json"),
+        JSON.stringify(blueprint, null, 2)
+      );
+
+      // Copy assets to world assets folder
+      console.log(
+        chalk.blue(`Copying assets to world assets folder: ${worldAssetsDir}`)
+      );
+
+      // Copy all assets from global assets folder to world assets folder
+      for (const asset of app.assets) {
+        const assetFileName = asset.filename;
+        const assetPath = path.join(options.globalAssets, assetFileName);
+        const assetDestPath = path.join(worldAssetsDir, assetFileName);
+
+        if (fs.existsSync(assetPath)) {
+          fs.copyFileSync(assetPath, assetDestPath);
+          console.log(
+            chalk.green(`Copied asset to world assets: ${assetFileName}`)
+          );
+        }
+      }
+
+      // Check if blueprint already exists
+      const existing = await db("blueprints").where("id", blueprint.id).first();
+      const now = new Date().toISOString();
+
+      if (existing) {
+        // Update existing blueprint
+        await db("blueprints")
+          .where("id", blueprint.id)
+          .update({
+            data: JSON.stringify(blueprint),
+            updatedAt: now,
+          });
+        console.log(
+          chalk.green(`Updated blueprint in database: ${blueprint.id}`)
+        );
+      } else {
+        // Insert new blueprint
+        await db("blueprints").insert({
+          id: blueprint.id,
+          data: JSON.stringify(blueprint),
+          createdAt: now,
+          updatedAt: now,
+        });
+        console.log(
+          chalk.green(`Inserted blueprint into database: ${blueprint.id}`)
+        );
+      }
+
+      // Create entity if requested
+      let entityId = null;
+      if (options.createEntity) {
+        entityId = createHash("sha256")
+          .update(`${blueprint.id}-entity`)
+          .digest("hex")
+          .substr(0, 32);
+
+        // Prepare entity data with transform information
+        const transform = parseTransform(appOptions);
+        const entityData = {
+          id: entityId,
+          type: blueprint.type || "app",
+          blueprint: blueprint.id,
+          position: transform.position,
+          quaternion: transform.quaternion,
+          scale: transform.scale,
+          pinned: false,
+          mover: null,
+          uploader: null,
+          state: { ready: true, holders: {} }, // Initialize with a ready state
+        };
+
+        // Check if entity already exists
+        const existingEntity = await db("entities")
+          .where("id", entityId)
+          .first();
+
+        if (existingEntity) {
+          // Update existing entity
+          await db("entities")
+            .where("id", entityId)
+            .update({
+              data: JSON.stringify(entityData),
+              updatedAt: now,
+            });
+          console.log(chalk.green(`Updated entity in database: ${entityId}`));
+        } else {
+          // Insert new entity
+          await db("entities").insert({
+            id: entityId,
+            data: JSON.stringify(entityData),
+            createdAt: now,
+            updatedAt: now,
+          });
+          console.log(chalk.green(`Created entity in database: ${entityId}`));
+        }
+      }
+
+      deployed.push({ name: app.name, blueprintId: blueprint.id, entityId });
+    }
+
+    console.log(
+      chalk.green(
+        `\nDeployment complete. Deployed ${builtApps.length} app(s) to the database.`
+      )
+    );
+    return deployed;
+  } finally {
+    // Close the database connection
+    await db.destroy();
+  }
+}
+
+/**
+ * Deploy built apps into a world database, inserting or updating their
+ * blueprints and optionally creating an entity for each
+ * @param {object[]} apps - Built apps, as returned by buildApp
+ * @param {object} options - Options object
+ * @param {string} options.dbPath - Path to the world database
+ * @param {string} [options.globalAssets] - Global assets directory the apps
+ *   were built to
+ * @param {string} [options.blueprintId] - Blueprint ID to use (only with a
+ *   single app)
+ * @param {string} [options.worldId] - World ID to associate with blueprints
+ * @param {boolean} [options.createEntity] - Create an entity for each app
+ * @param {string|number[]} [options.position] - Entity position
+ * @param {string|number[]} [options.rotation] - Entity rotation quaternion
+ * @param {string|number[]} [options.scale] - Entity scale
+ * @param {object} [options.apps] - Per-app blueprintId, position, rotation
+ *   and scale overrides by app name, as in the project config
+ * @returns {Promise<object[]>} - Each app's name, blueprint ID and entity ID
+ * @throws {DeployError} - If the apps can't be deployed
+ */
+export async function deployApps(apps, options = {}) {
+  const deployOptions = {
+    globalAssets: "./assets",
+    createEntity: false,
+    position: "1,1,1",
+    rotation: "0,0,0,1",
+    scale: "1,1,1",
+    ...options,
+  };
+
+  if (!deployOptions.dbPath) {
+    throw new DeployError("No world database given (dbPath)");
+  }
+  if (deployOptions.blueprintId && apps.length > 1) {
+    throw new DeployError("A blueprint ID can only be used with a single app");
+  }
+
+  try {
+    return await deployBuiltApps(apps, deployOptions);
+  } catch (error) {
+    throw new DeployError(`Error deploying apps: ${error.message}`, {
+      dbPath: deployOptions.dbPath,
+      cause: error,
+    });
+  }
+}
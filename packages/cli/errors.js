@@ -0,0 +1,47 @@
+// errors.js
+// Errors thrown by the build, pack, extract and deploy pipeline, so scripts
+// driving it can tell failures apart without parsing messages
+
+/**
+ * Base class of the pipeline's errors
+ * @property {string} code - Identifies the kind of failure
+ */
+export class HypError extends Error {
+  constructor(message, { code = "HYP_ERROR", cause, ...details } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * An app failed to build. Carries the app name, and the sandbox violations
+ * or exceeded budget limits when those stopped the build
+ */
+export class BuildError extends HypError {
+  constructor(message, details = {}) {
+    super(message, { code: "BUILD_FAILED", ...details });
+  }
+}
+
+// An app directory couldn't be packed into a .hyp file
+export class PackError extends HypError {
+  constructor(message, details = {}) {
+    super(message, { code: "PACK_FAILED", ...details });
+  }
+}
+
+// A .hyp file couldn't be read or extracted
+export class ExtractError extends HypError {
+  constructor(message, details = {}) {
+    super(message, { code: "EXTRACT_FAILED", ...details });
+  }
+}
+
+// Apps couldn't be deployed into a world database
+export class DeployError extends HypError {
+  constructor(message, details = {}) {
+    super(message, { code: "DEPLOY_FAILED", ...details });
+  }
+}
@@ -0,0 +1,2129 @@
+// hyp.js
+// Reads and writes .hyp files and .hypkit bundles, and keeps the global
+// assets folder where assets are stored under their content hash
+
+import fs from "node:fs";
+import { promises as fsPromises } from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  sign as cryptoSign,
+  verify as cryptoVerify,
+} from "crypto";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import os from "node:os";
+import zlib from "node:zlib";
+import { parseAst } from "rollup/parseAst";
+
+import {
+  findAssetRefs,
+  getAssetFileName,
+  getAssetRefType,
+  rewriteAssetRefs,
+} from "./assetRefs.js";
+import { ExtractError, PackError } from "./errors.js";
+
+// Package info
+export const VERSION = "1.0.0";
+
+// .hyp header format written by this tool. Files without a version field are
+// treated as version 1 (the unversioned format written by stock Hyperfy).
+// Version 3 adds compressed assets and is only written when compression is
+// used, so uncompressed files stay readable by version 2 tools
+const HYP_FORMAT_VERSION = 3;
+const HYP_UNCOMPRESSED_VERSION = 2;
+const HYP_PRODUCER = `hyp-cli/${VERSION}`;
+
+// .hypkit bundles use the same container layout as .hyp files, but their
+// header holds several apps that share one deduplicated asset section
+const HYPKIT_FORMAT = "hypkit";
+const HYPKIT_FORMAT_VERSION = 1;
+
+// First lines of every built script
+export const SCRIPT_BANNER = "// Built with hyp-cli\nprops;";
+
+// Codecs available for compressing asset payloads
+const COMPRESSION_CODECS = {
+  gzip: {
+    createCompressor: () => zlib.createGzip({ level: 9 }),
+    createDecompressor: () => zlib.createGunzip(),
+    decompressSync: (data) => zlib.gunzipSync(data),
+  },
+  brotli: {
+    createCompressor: () => zlib.createBrotliCompress(),
+    createDecompressor: () => zlib.createBrotliDecompress(),
+    decompressSync: (data) => zlib.brotliDecompressSync(data),
+  },
+};
+
+// Helper function to look up the codec an asset was stored with
+function getCompressionCodec(asset) {
+  if (!asset.compression) return null;
+
+  const codec = COMPRESSION_CODECS[asset.compression];
+  if (!codec) {
+    throw new Error(
+      `Asset ${asset.url} uses unsupported compression: ${asset.compression}`
+    );
+  }
+  return codec;
+}
+
+// Utility functions for buffer conversions
+function str2ab(str) {
+  return new TextEncoder().encode(str);
+}
+
+function ab2str(buf) {
+  return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+}
+
+// Function to calculate file hash
+export async function hashFile(filePath) {
+  const hash = createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Function to calculate the hash of in-memory data
+export function hashData(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+// Helper function to get file extension
+function getFileExtension(filePath) {
+  return path.extname(filePath);
+}
+
+// Ensure directory exists
+export function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Store asset in the global assets folder
+export async function storeAsset(sourcePath, globalAssetsDir, verbose = false) {
+  try {
+    // Check if source file exists
+    if (!fs.existsSync(sourcePath)) {
+      if (verbose) {
+        console.log(chalk.yellow(`Asset file not found: ${sourcePath}`));
+      }
+      return null;
+    }
+
+    // Read file content and generate hash
+    const hash = await hashFile(sourcePath);
+
+    // Get file extension
+    const ext = path.extname(sourcePath);
+
+    // Create new filename based on hash
+    const assetFilename = `${hash}${ext}`;
+    const destPath = path.join(globalAssetsDir, assetFilename);
+
+    // Ensure global assets directory exists
+    ensureDir(globalAssetsDir);
+
+    // Copy file if it doesn't already exist in the global assets folder. It
+    // is copied under a temporary name first, so apps building at the same
+    // time never see a partly written asset
+    if (!fs.existsSync(destPath)) {
+      const tempPath = `${destPath}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+      await fsPromises.copyFile(sourcePath, tempPath);
+      await fsPromises.rename(tempPath, destPath);
+      if (verbose) {
+        console.log(
+          chalk.green(`Stored asset: ${sourcePath} → ${assetFilename}`)
+        );
+      }
+    } else if (verbose) {
+      console.log(chalk.dim(`Asset already exists: ${assetFilename}`));
+    }
+
+    // Return asset info
+    return {
+      originalPath: sourcePath,
+      originalName: path.basename(sourcePath),
+      hash: hash,
+      filename: assetFilename,
+      extension: ext,
+    };
+  } catch (err) {
+    console.error(chalk.red(`Error storing asset ${sourcePath}:`), err.message);
+    return null;
+  }
+}
+
+// Decode a header written by the legacy encoder, which stored each UTF-16
+// code unit as a single byte (keeping only its low 8 bits). Latin-1
+// characters survive this exactly; anything above U+00FF was truncated, so
+// it is kept as its low byte rather than deleted, escaping control
+// characters so the JSON still parses
+function decodeLegacyHeader(headerBytes) {
+  const headerStr = Buffer.from(headerBytes).toString("latin1");
+  return headerStr.replace(
+    /[\u0000-\u001f]/g,
+    (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+  );
+}
+
+function parseHypHeader(headerBytes) {
+  // Headers are UTF-8 JSON (the regular hyperfy way)
+  try {
+    return { header: JSON.parse(ab2str(headerBytes)), legacy: false };
+  } catch (error) {
+    // Fall back to the legacy single-byte encoding
+    try {
+      return {
+        header: JSON.parse(decodeLegacyHeader(headerBytes)),
+        legacy: true,
+      };
+    } catch (legacyError) {
+      throw new Error(`Header is not valid JSON: ${error.message}`);
+    }
+  }
+}
+
+// Read the length-prefixed JSON header shared by .hyp and .hypkit files
+async function readContainerHeader(handle, fileSize, log) {
+  // Read header size (first 4 bytes)
+  const headerSizeBytes = Buffer.alloc(4);
+  await handle.read(headerSizeBytes, 0, 4, 0);
+  const headerSize = headerSizeBytes.readUInt32LE(0);
+  log(chalk.dim(`Header size: ${headerSize} bytes`));
+
+  if (4 + headerSize > fileSize) {
+    throw new Error(
+      `Header size ${headerSize} exceeds file length ${fileSize}, the file may be truncated`
+    );
+  }
+
+  const headerBytes = Buffer.alloc(headerSize);
+  await handle.read(headerBytes, 0, headerSize, 4);
+
+  const { header, legacy } = parseHypHeader(headerBytes);
+  if (legacy) {
+    console.warn(
+      chalk.yellow(
+        "Warning: Header uses the legacy single-byte encoding, characters outside Latin-1 may be garbled. Run `apps repair` to rewrite it as UTF-8"
+      )
+    );
+  }
+
+  return { header, headerSize };
+}
+
+// Locate each asset listed in a header within the payload that follows it
+function locateAssets(headerAssets, headerSize, fileSize) {
+  let offset = 4 + headerSize;
+  return headerAssets.map((assetInfo) => {
+    if (offset + assetInfo.size > fileSize) {
+      throw new Error(
+        `Asset ${assetInfo.url} runs past the end of the file, the file may be truncated`
+      );
+    }
+
+    const asset = {
+      type: assetInfo.type,
+      url: assetInfo.url,
+      fileName: assetInfo.url.split("/").pop(),
+      size: assetInfo.size,
+      originalSize: assetInfo.originalSize ?? assetInfo.size,
+      compression: assetInfo.compression || null,
+      mime: assetInfo.mime,
+      hash: assetInfo.hash || null,
+      offset,
+    };
+    offset += assetInfo.size;
+    return asset;
+  });
+}
+
+// Read the header of a .hyp file without loading its asset payload. Each
+// asset is returned with the offset of its data in the file
+async function readHypHeader(filePath, { quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  log(chalk.blue(`Reading file: ${filePath}`));
+
+  const handle = await fsPromises.open(filePath, "r");
+  try {
+    const { size: fileSize } = await handle.stat();
+    const { header, headerSize } = await readContainerHeader(
+      handle,
+      fileSize,
+      log
+    );
+
+    if (header.format === HYPKIT_FORMAT) {
+      throw new Error(
+        "File is a .hypkit bundle, use `apps unbundle` to extract it"
+      );
+    }
+
+    // Check the format version (unversioned files are version 1)
+    const version = header.version || 1;
+    if (version > HYP_FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported .hyp format version ${version} (this tool supports up to ${HYP_FORMAT_VERSION})`
+      );
+    }
+    if (header.producer) {
+      log(
+        chalk.dim(`Format version ${version}, produced by ${header.producer}`)
+      );
+    }
+
+    return {
+      version,
+      producer: header.producer || null,
+      headerSize,
+      fileSize,
+      blueprint: header.blueprint,
+      assets: locateAssets(header.assets, headerSize, fileSize),
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Create a read stream over one asset's data as stored in a .hyp file
+// (still compressed, if the asset was packed with compression)
+function createAssetReadStream(filePath, asset) {
+  if (asset.size === 0) {
+    return Readable.from([]);
+  }
+  return fs.createReadStream(filePath, {
+    start: asset.offset,
+    end: asset.offset + asset.size - 1,
+  });
+}
+
+// Import function to read a .hyp file with all asset data loaded
+async function importApp(filePath, options = {}) {
+  const importedApp = await readHypHeader(filePath, options);
+
+  const handle = await fsPromises.open(filePath, "r");
+  try {
+    for (const asset of importedApp.assets) {
+      asset.data = Buffer.alloc(asset.size);
+      await handle.read(asset.data, 0, asset.size, asset.offset);
+
+      // Compressed assets are returned decompressed
+      const codec = getCompressionCodec(asset);
+      if (codec) {
+        asset.data = codec.decompressSync(asset.data);
+      }
+
+      // Versioned files carry a content hash for each asset
+      if (asset.hash && hashData(asset.data) !== asset.hash) {
+        throw new Error(
+          `Asset ${asset.url} is corrupt: content does not match hash ${asset.hash}`
+        );
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return importedApp;
+}
+
+// Stream one asset out of a .hyp file (decompressing it if needed) into
+// the sink, checking it against its header hash. Returns the content hash
+async function streamAsset(filePath, asset, sink) {
+  const hash = createHash("sha256");
+  const codec = getCompressionCodec(asset);
+  await pipeline(
+    createAssetReadStream(filePath, asset),
+    ...(codec ? [codec.createDecompressor()] : []),
+    async function* (source) {
+      for await (const chunk of source) {
+        hash.update(chunk);
+        yield chunk;
+      }
+    },
+    sink
+  );
+
+  const digest = hash.digest("hex");
+  if (asset.hash && digest !== asset.hash) {
+    throw new Error(
+      `Asset ${asset.url} is corrupt: content does not match hash ${asset.hash}`
+    );
+  }
+  return digest;
+}
+
+// Write one asset from a .hyp file to disk. Returns the content hash
+function writeAssetFile(filePath, asset, destPath) {
+  return streamAsset(filePath, asset, fs.createWriteStream(destPath));
+}
+
+// Read one asset from a .hyp file into memory
+async function readAssetData(filePath, asset) {
+  const chunks = [];
+  await streamAsset(filePath, asset, async function (source) {
+    for await (const chunk of source) {
+      chunks.push(chunk);
+    }
+  });
+  return Buffer.concat(chunks);
+}
+
+// Hash one asset in a .hyp file without keeping its content
+function hashAsset(filePath, asset) {
+  return streamAsset(filePath, asset, async function (source) {
+    for await (const chunk of source) {
+      // Only the hash is needed
+    }
+  });
+}
+
+// Stream one asset out of a .hyp file into the global assets folder, hashing
+// it on the way. Assets whose header hash is already in the store are
+// skipped without being read
+async function extractAsset(filePath, asset, globalAssetsDir) {
+  const ext = path.extname(asset.fileName);
+  const assetInfo = (hash, stored) => ({
+    originalName: asset.fileName,
+    hash,
+    filename: `${hash}${ext}`,
+    extension: ext,
+    stored,
+  });
+
+  if (
+    asset.hash &&
+    fs.existsSync(path.join(globalAssetsDir, `${asset.hash}${ext}`))
+  ) {
+    return assetInfo(asset.hash, false);
+  }
+
+  const tempPath = path.join(
+    globalAssetsDir,
+    `.extract-${process.pid}-${asset.offset}.tmp`
+  );
+  try {
+    const digest = await writeAssetFile(filePath, asset, tempPath);
+    const destPath = path.join(globalAssetsDir, `${digest}${ext}`);
+    if (fs.existsSync(destPath)) {
+      return assetInfo(digest, false);
+    }
+    await fsPromises.rename(tempPath, destPath);
+    return assetInfo(digest, true);
+  } finally {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+  }
+}
+
+// Helper function to format a byte count for progress output
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Describe the type of a blueprint prop. Asset props carry their own type,
+// other props are reported by their JSON type
+function getPropType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "object" && typeof value.type === "string") {
+    return value.type;
+  }
+  return typeof value;
+}
+
+/**
+ * Summarize a .hyp file from its header, without reading the asset payload
+ * @param {string} filePath - Path to the .hyp file
+ * @returns {Promise<object>} - App metadata, flags, props, sizes and assets
+ */
+export async function getHypInfo(filePath) {
+  const { version, producer, headerSize, fileSize, blueprint, assets } =
+    await readHypHeader(filePath, { quiet: true });
+
+  const payloadSize = fileSize - 4 - headerSize;
+  const byType = {};
+  for (const asset of assets) {
+    const entry = (byType[asset.type] ??= {
+      count: 0,
+      size: 0,
+      originalSize: 0,
+    });
+    entry.count += 1;
+    entry.size += asset.size;
+    entry.originalSize += asset.originalSize;
+  }
+
+  const scriptAsset = assets.find((asset) => asset.url === blueprint.script);
+
+  return {
+    file: filePath,
+    format: { version, producer },
+    app: {
+      id: blueprint.id ?? null,
+      name: blueprint.name || null,
+      version: blueprint.version ?? null,
+      author: blueprint.author ?? null,
+      url: blueprint.url ?? null,
+      desc: blueprint.desc ?? null,
+      model: blueprint.model ?? null,
+      script: blueprint.script ?? null,
+    },
+    flags: {
+      preload: !!blueprint.preload,
+      unique: !!blueprint.unique,
+      public: !!blueprint.public,
+      locked: !!blueprint.locked,
+    },
+    props: Object.entries(blueprint.props || {}).map(([key, value]) => ({
+      key,
+      type: getPropType(value),
+      value,
+    })),
+    sizes: {
+      file: fileSize,
+      header: headerSize,
+      payload: payloadSize,
+      script: scriptAsset ? scriptAsset.originalSize : 0,
+      byType,
+    },
+    assets: assets.map((asset) => ({
+      type: asset.type,
+      url: asset.url,
+      size: asset.size,
+      originalSize: asset.originalSize,
+      compression: asset.compression || null,
+      mime: asset.mime || null,
+      hash: asset.hash,
+    })),
+  };
+}
+
+// Helper function to determine MIME type
+function getMimeType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeTypes = {
+    ".vrm": "model/vrm",
+    ".gltf": "model/gltf+json",
+    ".glb": "model/gltf-binary",
+    ".js": "application/javascript",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm",
+  };
+
+  return mimeTypes[ext] || "application/octet-stream";
+}
+
+// Number of leading bytes of an asset that payloadMatchesMimeType looks at
+const MIME_CHECK_BYTES = 64;
+
+// Helper function to check whether a payload's magic bytes match its MIME type,
+// given its first MIME_CHECK_BYTES bytes and whether it is free of NUL bytes.
+// Returns null when the MIME type has no known signature
+function payloadMatchesMimeType(data, isText, mime) {
+  const startsWith = (bytes, offset = 0) =>
+    data.length >= offset + bytes.length &&
+    bytes.every((byte, i) => data[offset + i] === byte);
+  const ascii = (str) => [...str].map((char) => char.charCodeAt(0));
+
+  switch (mime) {
+    case "model/vrm":
+    case "model/gltf-binary":
+      return startsWith(ascii("glTF"));
+    case "model/gltf+json":
+      return data.toString("utf8").trimStart().startsWith("{");
+    case "application/javascript":
+      // Scripts have no signature, but must be text
+      return isText;
+    case "image/png":
+      return startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    case "image/jpeg":
+      return startsWith([0xff, 0xd8, 0xff]);
+    case "image/gif":
+      return startsWith(ascii("GIF87a")) || startsWith(ascii("GIF89a"));
+    case "image/webp":
+      return startsWith(ascii("RIFF")) && startsWith(ascii("WEBP"), 8);
+    case "audio/mpeg":
+      return (
+        startsWith(ascii("ID3")) ||
+        (data.length >= 2 && data[0] === 0xff && (data[1] & 0xe0) === 0xe0)
+      );
+    case "audio/wav":
+      return startsWith(ascii("RIFF")) && startsWith(ascii("WAVE"), 8);
+    case "video/mp4":
+      return startsWith(ascii("ftyp"), 4);
+    case "video/webm":
+      return startsWith([0x1a, 0x45, 0xdf, 0xa3]);
+    default:
+      return null;
+  }
+}
+
+// Read and check a container header against the file holding it: its size
+// prefix and JSON must be in bounds, it must have the shape of a .hyp or
+// .hypkit header, and its asset sizes must account for the payload exactly.
+// Problems are added to the result's errors, returning null if the header
+// can't be used
+async function readCheckedHeader(handle, result) {
+  const { errors, warnings } = result;
+  const { size: fileSize } = await handle.stat();
+
+  // Header size prefix and header bounds
+  if (fileSize < 4) {
+    errors.push(`File is ${fileSize} bytes, too short for a header`);
+    return null;
+  }
+
+  const headerSizeBytes = Buffer.alloc(4);
+  await handle.read(headerSizeBytes, 0, 4, 0);
+  const headerSize = headerSizeBytes.readUInt32LE(0);
+  if (4 + headerSize > fileSize) {
+    errors.push(
+      `Header size ${headerSize} exceeds file length (${fileSize - 4} bytes after prefix)`
+    );
+    return null;
+  }
+
+  const headerBytes = Buffer.alloc(headerSize);
+  await handle.read(headerBytes, 0, headerSize, 4);
+
+  let header;
+  let legacy;
+  try {
+    ({ header, legacy } = parseHypHeader(headerBytes));
+    if (legacy) {
+      warnings.push(
+        "Header uses the legacy single-byte encoding, run `apps repair` to rewrite it as UTF-8"
+      );
+    }
+  } catch (error) {
+    errors.push(error.message);
+    return null;
+  }
+  if (!header || typeof header !== "object" || Array.isArray(header)) {
+    errors.push("Header is not a JSON object");
+    return null;
+  }
+  result.header = header;
+
+  // Bundles share the container layout but hold several blueprints
+  if (header.format === HYPKIT_FORMAT) {
+    result.bundle = true;
+    if (header.version > HYPKIT_FORMAT_VERSION) {
+      errors.push(
+        `Unsupported .hypkit format version ${header.version} (this tool supports up to ${HYPKIT_FORMAT_VERSION})`
+      );
+      return null;
+    }
+    verifyHypKitApps(header.apps, errors);
+  } else {
+    const version = header.version || 1;
+    if (version > HYP_FORMAT_VERSION) {
+      errors.push(
+        `Unsupported format version ${version} (this tool supports up to ${HYP_FORMAT_VERSION})`
+      );
+      return null;
+    }
+    if (!header.blueprint || typeof header.blueprint !== "object") {
+      errors.push("Header has no blueprint object");
+    }
+  }
+  if (!Array.isArray(header.assets)) {
+    errors.push("Header has no assets array");
+    return null;
+  }
+
+  // Declared sizes must account for the payload exactly
+  const payloadSize = fileSize - 4 - headerSize;
+  let declaredSize = 0;
+  for (const [index, asset] of header.assets.entries()) {
+    if (!asset || typeof asset.url !== "string") {
+      errors.push(`Asset ${index} has no url`);
+      return null;
+    }
+    if (!Number.isInteger(asset.size) || asset.size < 0) {
+      errors.push(
+        `Asset ${index} (${asset.url}) has invalid size: ${asset.size}`
+      );
+      return null;
+    }
+    declaredSize += asset.size;
+  }
+  if (declaredSize !== payloadSize) {
+    errors.push(
+      `Declared asset sizes total ${declaredSize} bytes but payload is ${payloadSize} bytes`
+    );
+  }
+
+  return { header, headerSize, fileSize, legacy };
+}
+
+// Check the structural integrity of a .hyp file or .hypkit bundle without
+// trusting its header
+export async function verifyHypFile(filePath) {
+  const errors = [];
+  const warnings = [];
+  const result = { errors, warnings, header: null, bundle: false };
+
+  const handle = await fsPromises.open(filePath, "r");
+  let checked;
+  try {
+    checked = await readCheckedHeader(handle, result);
+  } finally {
+    await handle.close();
+  }
+  if (!checked) {
+    return result;
+  }
+  const { header, headerSize, fileSize } = checked;
+
+  // Version 1 .hyp files predate content hashes; every bundle has them
+  const expectHashes = result.bundle || (header.version || 1) >= 2;
+  await verifyPayload(
+    filePath,
+    headerSize,
+    fileSize,
+    header.assets,
+    expectHashes,
+    result
+  );
+
+  // Every asset reference in a blueprint must resolve to a bundled asset
+  const bundledUrls = new Set(header.assets.map((asset) => asset.url));
+  const blueprints = result.bundle
+    ? (Array.isArray(header.apps) ? header.apps : [])
+        .filter((app) => app?.blueprint && typeof app.blueprint === "object")
+        .map((app) => ({
+          label: `App ${app.name}: `,
+          blueprint: app.blueprint,
+        }))
+    : header.blueprint && typeof header.blueprint === "object"
+      ? [{ label: "", blueprint: header.blueprint }]
+      : [];
+  for (const { label, blueprint } of blueprints) {
+    for (const ref of findAssetRefs(blueprint)) {
+      if (!bundledUrls.has(ref.url)) {
+        errors.push(
+          `${label}Blueprint ${ref.field} references missing asset ${ref.url}`
+        );
+      }
+    }
+  }
+
+  return result;
+}
+
+// Whether a .hypkit app name can be used as a directory name: a single path
+// segment, so unbundling can't write outside the output directory
+function isSafeAppName(name) {
+  return (
+    typeof name === "string" &&
+    name !== "" &&
+    name !== "." &&
+    name !== ".." &&
+    !/[\\/\0]/.test(name) &&
+    !path.isAbsolute(name)
+  );
+}
+
+// Check that each app a .hypkit header lists has a unique, safe name and a
+// blueprint
+function verifyHypKitApps(apps, errors) {
+  if (!Array.isArray(apps) || apps.length === 0) {
+    errors.push("Bundle header has no apps");
+    return;
+  }
+
+  const names = new Set();
+  for (const [index, app] of apps.entries()) {
+    if (!app || typeof app.name !== "string" || !app.name) {
+      errors.push(`Bundle app ${index} has no name`);
+      continue;
+    }
+    if (!isSafeAppName(app.name)) {
+      errors.push(
+        `Bundle app ${index} has an unsafe name: ${JSON.stringify(app.name)}`
+      );
+      continue;
+    }
+    if (names.has(app.name)) {
+      errors.push(`Bundle lists app ${app.name} more than once`);
+    }
+    names.add(app.name);
+    if (!app.blueprint || typeof app.blueprint !== "object") {
+      errors.push(`App ${app.name} has no blueprint object`);
+    }
+  }
+}
+
+// Check each asset in the payload following a header, streaming it out of
+// the file: it must decompress to its declared size, match its hash and have
+// contents matching its MIME type
+async function verifyPayload(
+  filePath,
+  headerSize,
+  fileSize,
+  assets,
+  expectHashes,
+  result
+) {
+  const { errors, warnings } = result;
+
+  let offset = 4 + headerSize;
+  for (const asset of assets) {
+    if (offset + asset.size > fileSize) {
+      errors.push(`Asset ${asset.url} runs past the end of the file`);
+      break;
+    }
+
+    // Hashes and MIME types describe the uncompressed content, so only its
+    // first bytes are kept for the MIME check
+    let size = 0;
+    let head = Buffer.alloc(0);
+    let isText = true;
+    let digest;
+    try {
+      digest = await streamAsset(
+        filePath,
+        { ...asset, offset, hash: null },
+        async function (source) {
+          for await (const chunk of source) {
+            if (head.length < MIME_CHECK_BYTES) {
+              head = Buffer.concat([
+                head,
+                chunk.subarray(0, MIME_CHECK_BYTES - head.length),
+              ]);
+            }
+            isText &&= !chunk.includes(0);
+            size += chunk.length;
+          }
+        }
+      );
+    } catch (error) {
+      errors.push(
+        `Asset ${asset.url} could not be decompressed: ${error.message}`
+      );
+      offset += asset.size;
+      continue;
+    }
+
+    if (asset.originalSize !== undefined && size !== asset.originalSize) {
+      errors.push(
+        `Asset ${asset.url} decompresses to ${size} bytes, expected ${asset.originalSize}`
+      );
+    }
+
+    if (asset.hash && digest !== asset.hash) {
+      errors.push(`Asset ${asset.url} does not match its hash ${asset.hash}`);
+    } else if (expectHashes && !asset.hash) {
+      warnings.push(`Asset ${asset.url} has no content hash`);
+    }
+
+    const matches = payloadMatchesMimeType(head, isText, asset.mime);
+    if (matches === false) {
+      errors.push(
+        `Asset ${asset.url} is declared as ${asset.mime} but its contents do not match`
+      );
+    } else if (matches === null) {
+      warnings.push(
+        `Asset ${asset.url} has unrecognised MIME type ${asset.mime}, contents not checked`
+      );
+    }
+
+    offset += asset.size;
+  }
+}
+
+// Find string values containing non-ASCII characters, keyed by field path
+function findNonAsciiStrings(value, field = "", found = []) {
+  if (typeof value === "string") {
+    if (/[^\x20-\x7e]/.test(value)) found.push({ field, value });
+  } else if (value && typeof value === "object") {
+    for (const key in value) {
+      findNonAsciiStrings(value[key], field ? `${field}.${key}` : key, found);
+    }
+  }
+  return found;
+}
+
+// Rewrite a .hyp file whose header was written by the legacy single-byte
+// encoder as a versioned UTF-8 header, copying the asset payload unchanged
+export async function repairHypFile(filePath, outputPath) {
+  const result = { errors: [], warnings: [], header: null, bundle: false };
+
+  const handle = await fsPromises.open(filePath, "r");
+  let checked;
+  try {
+    checked = await readCheckedHeader(handle, result);
+  } finally {
+    await handle.close();
+  }
+  if (result.errors.length > 0) {
+    throw new ExtractError(
+      `Cannot repair ${filePath}: ${result.errors.join("; ")}`,
+      { file: filePath, errors: result.errors }
+    );
+  }
+  const { header, headerSize, fileSize, legacy } = checked;
+
+  if (!legacy) {
+    return { repaired: false, outputPath: null, fields: [] };
+  }
+  if (result.bundle) {
+    throw new ExtractError(
+      `Cannot repair ${filePath}: only .hyp files can be repaired`,
+      { file: filePath }
+    );
+  }
+
+  try {
+    // Add content hashes while we are rewriting the header
+    const assets = locateAssets(header.assets, headerSize, fileSize);
+    for (const [index, asset] of assets.entries()) {
+      header.assets[index].hash ||= await hashAsset(filePath, asset);
+    }
+
+    const repairedHeader = {
+      ...header,
+      version: HYP_UNCOMPRESSED_VERSION,
+      producer: HYP_PRODUCER,
+    };
+    const headerBytes = str2ab(JSON.stringify(repairedHeader));
+    const headerSizeBytes = Buffer.alloc(4);
+    headerSizeBytes.writeUInt32LE(headerBytes.length, 0);
+
+    // Write next to the output and move it into place, so a failed repair
+    // leaves nothing behind and the output can be the input itself
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    try {
+      await pipeline(async function* () {
+        yield headerSizeBytes;
+        yield headerBytes;
+        if (fileSize > 4 + headerSize) {
+          yield* fs.createReadStream(filePath, { start: 4 + headerSize });
+        }
+      }, fs.createWriteStream(tempPath));
+      await fsPromises.rename(tempPath, outputPath);
+    } finally {
+      await fsPromises.rm(tempPath, { force: true });
+    }
+  } catch (error) {
+    throw new ExtractError(`Error repairing ${filePath}: ${error.message}`, {
+      file: filePath,
+      cause: error,
+    });
+  }
+
+  return {
+    repaired: true,
+    outputPath,
+    fields: findNonAsciiStrings(header.blueprint, "blueprint"),
+  };
+}
+
+// Load a .hyp file or a built app directory into a form that can be compared:
+// the blueprint plus its assets identified by content hash
+export async function loadAppSnapshot(target, globalAssetsDir) {
+  if (fs.statSync(target).isDirectory()) {
+    const blueprintPath = path.join(target, "blueprint.json");
+    if (!fs.existsSync(blueprintPath)) {
+      throw new Error(`blueprint.json not found in ${target}`);
+    }
+
+    const blueprint = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
+    const assets = [];
+    for (const ref of findAssetRefs(blueprint)) {
+      const assetPath = path.join(
+        globalAssetsDir,
+        ref.url.replace("asset://", "")
+      );
+      if (!fs.existsSync(assetPath)) {
+        throw new Error(
+          `Asset ${ref.url} (${ref.field}) not found in ${globalAssetsDir}`
+        );
+      }
+      assets.push({
+        url: ref.url,
+        hash: await hashFile(assetPath),
+        size: fs.statSync(assetPath).size,
+      });
+    }
+
+    return { blueprint, assets };
+  }
+
+  const importedApp = await importApp(target, { quiet: true });
+  return {
+    blueprint: importedApp.blueprint,
+    assets: importedApp.assets.map((asset) => ({
+      url: asset.url,
+      hash: asset.hash || hashData(asset.data),
+      size: asset.originalSize,
+    })),
+  };
+}
+
+// Replace asset URLs in a blueprint value with their content hashes, so that
+// the same asset stored under different names compares equal
+function normalizeAssetUrls(value, hashesByUrl) {
+  if (typeof value === "string") {
+    return hashesByUrl.has(value) ? `sha256:${hashesByUrl.get(value)}` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => normalizeAssetUrls(item, hashesByUrl));
+  }
+  if (value && typeof value === "object") {
+    const normalized = {};
+    for (const key in value) {
+      normalized[key] = normalizeAssetUrls(value[key], hashesByUrl);
+    }
+    return normalized;
+  }
+  return value;
+}
+
+// Compare two app snapshots field by field
+export function diffAppSnapshots(a, b) {
+  const hashesA = new Map(a.assets.map((asset) => [asset.url, asset.hash]));
+  const hashesB = new Map(b.assets.map((asset) => [asset.url, asset.hash]));
+  const blueprintA = normalizeAssetUrls(a.blueprint, hashesA);
+  const blueprintB = normalizeAssetUrls(b.blueprint, hashesB);
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+
+  // Top-level blueprint fields (props are compared separately)
+  const fields = [];
+  const fieldNames = new Set([
+    ...Object.keys(a.blueprint),
+    ...Object.keys(b.blueprint),
+  ]);
+  fieldNames.delete("props");
+  for (const field of fieldNames) {
+    if (!same(blueprintA[field], blueprintB[field])) {
+      fields.push({
+        field,
+        from: a.blueprint[field],
+        to: b.blueprint[field],
+      });
+    }
+  }
+
+  // Props
+  const propsA = blueprintA.props || {};
+  const propsB = blueprintB.props || {};
+  const props = { added: [], removed: [], changed: [] };
+  for (const key in propsB) {
+    if (!(key in propsA)) props.added.push(key);
+  }
+  for (const key in propsA) {
+    if (!(key in propsB)) {
+      props.removed.push(key);
+    } else if (!same(propsA[key], propsB[key])) {
+      props.changed.push({
+        key,
+        from: a.blueprint.props[key],
+        to: b.blueprint.props[key],
+      });
+    }
+  }
+
+  // Assets are matched by the blueprint field referencing them, so a renamed
+  // asset with new content shows as changed rather than added and removed
+  const refsByField = (snapshot, hashes) =>
+    new Map(
+      findAssetRefs(snapshot.blueprint).map((ref) => [
+        ref.field,
+        {
+          url: ref.url,
+          hash: hashes.get(ref.url) || null,
+          size:
+            snapshot.assets.find((asset) => asset.url === ref.url)?.size ??
+            null,
+        },
+      ])
+    );
+  const refsA = refsByField(a, hashesA);
+  const refsB = refsByField(b, hashesB);
+  const assets = { added: [], removed: [], changed: [] };
+  for (const [field, ref] of refsB) {
+    if (!refsA.has(field)) assets.added.push({ field, ...ref });
+  }
+  for (const [field, ref] of refsA) {
+    if (!refsB.has(field)) {
+      assets.removed.push({ field, ...ref });
+    } else if (refsB.get(field).hash !== ref.hash) {
+      assets.changed.push({ field, from: ref, to: refsB.get(field) });
+    }
+  }
+
+  const identical =
+    fields.length === 0 &&
+    Object.values(props).every((list) => list.length === 0) &&
+    Object.values(assets).every((list) => list.length === 0);
+
+  return { identical, fields, props, assets };
+}
+
+// Signatures are stored in a detached file next to the .hyp, so readers that
+// know nothing about signing are unaffected
+export function getSignaturePath(filePath) {
+  return `${filePath}.sig`;
+}
+
+// Sign the SHA-256 digest of a whole .hyp file (header and payload) with an
+// Ed25519 private key. The digest is streamed so large files stay out of memory
+export async function signHypFile(filePath, privateKeyPem, signer) {
+  const privateKey = createPrivateKey(privateKeyPem);
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(
+      `Signing key must be an Ed25519 key, got ${privateKey.asymmetricKeyType}`
+    );
+  }
+
+  const fileHash = await hashFile(filePath);
+  const signature = cryptoSign(null, Buffer.from(fileHash, "hex"), privateKey);
+  const publicKey = createPublicKey(privateKey).export({
+    type: "spki",
+    format: "pem",
+  });
+
+  return {
+    algorithm: "ed25519",
+    digest: "sha256",
+    fileHash,
+    signer: signer || null,
+    signedAt: new Date().toISOString(),
+    publicKey,
+    signature: signature.toString("base64"),
+  };
+}
+
+// Check a detached signature against a .hyp file and a trusted public key
+export async function verifyHypSignature(
+  filePath,
+  signatureData,
+  publicKeyPem
+) {
+  const publicKey = createPublicKey(publicKeyPem);
+  if (publicKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(
+      `Public key must be an Ed25519 key, got ${publicKey.asymmetricKeyType}`
+    );
+  }
+  if (signatureData.algorithm !== "ed25519") {
+    throw new Error(
+      `Unsupported signature algorithm: ${signatureData.algorithm}`
+    );
+  }
+
+  const fileHash = await hashFile(filePath);
+  if (fileHash !== signatureData.fileHash) {
+    return {
+      valid: false,
+      reason: "File contents have changed since it was signed",
+    };
+  }
+
+  const valid = cryptoVerify(
+    null,
+    Buffer.from(fileHash, "hex"),
+    publicKey,
+    Buffer.from(signatureData.signature, "base64")
+  );
+  return {
+    valid,
+    reason: valid ? null : "Signature was not made with the given key",
+  };
+}
+
+export async function extractHypFile(
+  filePath,
+  outputDir,
+  globalAssetsDir,
+  options
+) {
+  try {
+    // Validate input file
+    if (!filePath.endsWith(".hyp")) {
+      throw new ExtractError("File must have .hyp extension.", {
+        file: filePath,
+      });
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new ExtractError(`File not found: ${filePath}`, { file: filePath });
+    }
+
+    // Read the header, leaving asset data in the file to be streamed
+    const importedApp = await readHypHeader(filePath);
+
+    // Get app name from blueprint or fallback to file name
+    const appName =
+      importedApp.blueprint.name || path.basename(filePath, ".hyp");
+    const appDir = path.join(outputDir, appName);
+
+    // Create directory structure
+    console.log(chalk.blue(`Creating directory: ${appDir}`));
+    fs.mkdirSync(appDir, { recursive: true });
+
+    // Ensure global assets directory exists
+    ensureDir(globalAssetsDir);
+
+    // Extract all assets to global assets folder and track them
+    console.log(chalk.blue("\nExtracting assets:"));
+    const extractedAssets = [];
+    const storedFilenames = new Map();
+
+    for (const [index, asset] of importedApp.assets.entries()) {
+      // Stream into the global assets folder, trusting the header hash when
+      // the asset is already stored
+      const { stored, ...assetInfo } = await extractAsset(
+        filePath,
+        asset,
+        globalAssetsDir
+      );
+
+      extractedAssets.push({
+        ...assetInfo,
+        type: asset.type,
+        url: asset.url,
+        size: asset.originalSize,
+        mime: asset.mime,
+      });
+
+      console.log(
+        chalk.dim(`[${index + 1}/${importedApp.assets.length}] `) +
+          chalk.green(asset.fileName) +
+          chalk.dim(
+            ` (${asset.type}, ${formatBytes(asset.originalSize)}${asset.compression ? `, ${asset.compression}` : ""}) → ${assetInfo.filename}${stored ? "" : " (already stored)"}`
+          )
+      );
+
+      storedFilenames.set(asset.url, assetInfo.filename);
+    }
+
+    // Update blueprint references to use the new asset paths
+    importedApp.blueprint = rewriteAssetRefs(importedApp.blueprint, (url) =>
+      storedFilenames.has(url)
+        ? `asset://${storedFilenames.get(url)}`
+        : undefined
+    );
+
+    // Save updated blueprint.json with new asset references
+    const blueprintPath = path.join(appDir, "blueprint.json");
+    fs.writeFileSync(
+      blueprintPath,
+      JSON.stringify(importedApp.blueprint, null, 2)
+    );
+    console.log(chalk.green(`Saved blueprint to: ${blueprintPath}`));
+
+    // Save app metadata with assets info
+    const metadataPath = path.join(appDir, "app-metadata.json");
+    fs.writeFileSync(
+      metadataPath,
+      JSON.stringify(
+        {
+          extractedAt: new Date().toISOString(),
+          source: filePath,
+          assets: extractedAssets,
+        },
+        null,
+        2
+      )
+    );
+    console.log(chalk.green(`Saved metadata to: ${metadataPath}`));
+
+    console.log(chalk.green(`\nApp successfully extracted to: ${appDir}`));
+    console.log(chalk.green(`Global assets stored in: ${globalAssetsDir}`));
+    return {
+      dir: appDir,
+      blueprint: importedApp.blueprint,
+      assets: extractedAssets,
+    };
+  } catch (error) {
+    if (error instanceof ExtractError) throw error;
+    throw new ExtractError(`Error extracting .hyp file: ${error.message}`, {
+      file: filePath,
+      cause: error,
+    });
+  }
+}
+
+// Turn an app name into a file name usable as a build source
+function toSourceName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Drop the banner the build adds to a script, it is added again on the next
+// build. Scripts minified by older builds lost the banner comment and start
+// with its `props` joined onto the bundle instead
+function stripScriptBanner(script) {
+  if (script.startsWith(`${SCRIPT_BANNER}\n`)) {
+    return script.slice(SCRIPT_BANNER.length + 1);
+  }
+  return script.replace(/^props,(?=function)/, "!");
+}
+
+// Ranges of the template literals in an AST, whose text must be kept as is
+function findTemplateRanges(node, ranges = []) {
+  if (node.type === "TemplateLiteral") {
+    ranges.push([node.start, node.end]);
+  }
+  for (const value of Object.values(node)) {
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === "string") {
+        findTemplateRanges(child, ranges);
+      }
+    }
+  }
+  return ranges;
+}
+
+// Take the code out of the function a build wraps scripts in, so building
+// the extracted source doesn't wrap it again. Scripts that aren't a single
+// wrapped function, such as ones not built by this tool, are kept as they are
+function unwrapBundle(script) {
+  let program;
+  try {
+    program = parseAst(script);
+  } catch {
+    return script;
+  }
+
+  const [statement] = program.body;
+  let call = statement?.expression;
+  if (call?.type === "UnaryExpression" && call.operator === "!") {
+    call = call.argument;
+  }
+  if (
+    program.body.length !== 1 ||
+    call?.type !== "CallExpression" ||
+    call.arguments.length > 0 ||
+    call.callee.type !== "FunctionExpression" ||
+    call.callee.params.length > 0
+  ) {
+    return script;
+  }
+
+  // The build adds "use strict" again
+  const { body } = call.callee;
+  const directive = body.body.find((node) => node.directive === "use strict");
+  const start = directive ? directive.end : body.start + 1;
+  const templates = findTemplateRanges(body);
+
+  // Drop the indent the build adds, taken from the first line of code, except
+  // on lines inside template literals
+  let offset = start;
+  const lines = script
+    .slice(start, body.end - 1)
+    .split("\n")
+    .map((line) => {
+      const inTemplate = templates.some(
+        ([from, to]) => offset > from && offset < to
+      );
+      offset += line.length + 1;
+      return { line, inTemplate };
+    });
+  const indent =
+    lines
+      .find(({ line, inTemplate }) => !inTemplate && line.trim())
+      ?.line.match(/^\s*/)[0] ?? "";
+  return `${lines
+    .map(({ line, inTemplate }) =>
+      !inTemplate && line.startsWith(indent) ? line.slice(indent.length) : line
+    )
+    .join("\n")
+    .trim()}\n`;
+}
+
+// Extract a .hyp file back into buildable source: a script with its manifest
+// inlined, written to the apps directory, plus its assets under their
+// original names in the named assets directory
+export async function extractHypToSource(
+  filePath,
+  appsDir,
+  namedAssetsDir,
+  options
+) {
+  try {
+    if (!filePath.endsWith(".hyp")) {
+      throw new ExtractError("File must have .hyp extension.", {
+        file: filePath,
+      });
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new ExtractError(`File not found: ${filePath}`, { file: filePath });
+    }
+
+    const importedApp = await readHypHeader(filePath);
+    const { blueprint } = importedApp;
+
+    const sourceName =
+      toSourceName(blueprint.name || "") ||
+      toSourceName(path.basename(filePath, ".hyp"));
+    const sourcePath = path.join(appsDir, `${sourceName}.js`);
+    if (fs.existsSync(sourcePath) && !options.force) {
+      throw new ExtractError(
+        `${sourcePath} already exists. Use --force to overwrite it.`,
+        { file: filePath }
+      );
+    }
+
+    const scriptAsset = importedApp.assets.find(
+      (asset) => asset.url === blueprint.script
+    );
+    if (!scriptAsset) {
+      console.warn(
+        chalk.yellow(
+          "Warning: No script found in .hyp file, writing manifest only"
+        )
+      );
+    }
+
+    ensureDir(appsDir);
+    ensureDir(namedAssetsDir);
+
+    // Copy every other asset into the named assets directory
+    console.log(chalk.blue("\nExtracting named assets:"));
+    const namedAssets = [];
+    for (const asset of importedApp.assets) {
+      if (asset === scriptAsset) continue;
+
+      const destPath = path.join(namedAssetsDir, asset.fileName);
+      namedAssets.push(destPath);
+      if (fs.existsSync(destPath)) {
+        if (asset.hash && (await hashFile(destPath)) === asset.hash) {
+          console.log(chalk.dim(`- ${asset.fileName} (already present)`));
+          continue;
+        }
+        if (!options.force) {
+          throw new ExtractError(
+            `${destPath} already exists with different content. Use --force to overwrite it.`,
+            { file: filePath }
+          );
+        }
+      }
+
+      await writeAssetFile(filePath, asset, destPath);
+      console.log(
+        chalk.green(`- ${asset.fileName}`) +
+          chalk.dim(` (${asset.type}, ${formatBytes(asset.originalSize)})`)
+      );
+    }
+
+    // The build sets the script itself, so leave it out of the manifest
+    const manifest = { ...blueprint };
+    delete manifest.script;
+
+    const script = scriptAsset
+      ? unwrapBundle(
+          stripScriptBanner(
+            (await readAssetData(filePath, scriptAsset)).toString("utf8")
+          )
+        )
+      : "";
+
+    fs.writeFileSync(
+      sourcePath,
+      `const manifest = ${JSON.stringify(manifest, null, 2)};\n\n${script}`
+    );
+
+    console.log(chalk.green(`\nSaved source to: ${sourcePath}`));
+    console.log(
+      chalk.dim(
+        "The source is the built script, with its imported modules already bundled in"
+      )
+    );
+    console.log(chalk.green(`Named assets stored in: ${namedAssetsDir}`));
+    console.log(
+      chalk.dim(
+        `Rebuild with: apps build ${sourceName} -a ${appsDir} -as ${namedAssetsDir}`
+      )
+    );
+    return { source: sourcePath, manifest, assets: namedAssets };
+  } catch (error) {
+    if (error instanceof ExtractError) throw error;
+    throw new ExtractError(
+      `Error extracting .hyp file to source: ${error.message}`,
+      { file: filePath, cause: error }
+    );
+  }
+}
+
+// Read the mapping from hashed asset filenames to their original info from an
+// app directory's app-metadata.json, if it has one
+function readAssetMapping(dirPath) {
+  const metadataPath = path.join(dirPath, "app-metadata.json");
+  const assetMapping = {};
+
+  if (fs.existsSync(metadataPath)) {
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+      for (const asset of metadata.assets) {
+        assetMapping[asset.filename] = asset;
+      }
+    } catch (err) {
+      console.warn(
+        chalk.yellow(`Warning: Could not parse metadata file: ${err.message}`)
+      );
+    }
+  }
+
+  return assetMapping;
+}
+
+// Export function to pack a directory into a .hyp file
+export async function packDirectory(
+  dirPath,
+  outputPath,
+  globalAssetsDir,
+  options
+) {
+  try {
+    // Validate input directory
+    if (!fs.existsSync(dirPath)) {
+      throw new PackError(`Directory not found: ${dirPath}`, { dir: dirPath });
+    }
+
+    if (!fs.statSync(dirPath).isDirectory()) {
+      throw new PackError(`${dirPath} is not a directory.`, { dir: dirPath });
+    }
+
+    if (options.compress && !COMPRESSION_CODECS[options.compress]) {
+      throw new PackError(
+        `Unknown compression '${options.compress}' (use ${Object.keys(COMPRESSION_CODECS).join(" or ")})`,
+        { dir: dirPath }
+      );
+    }
+
+    // Read the blueprint.json file
+    const blueprintPath = path.join(dirPath, "blueprint.json");
+    if (!fs.existsSync(blueprintPath)) {
+      throw new PackError(`blueprint.json not found in ${dirPath}`, {
+        dir: dirPath,
+      });
+    }
+
+    const blueprintJson = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
+    console.log(
+      chalk.blue(`Loaded blueprint for: ${blueprintJson.name || "unnamed app"}`)
+    );
+
+    // Read metadata if available
+    const assetMapping = readAssetMapping(dirPath);
+    if (Object.keys(assetMapping).length > 0) {
+      console.log(
+        chalk.blue(
+          `Loaded metadata with ${Object.keys(assetMapping).length} assets`
+        )
+      );
+    }
+
+    // Find all assets mentioned anywhere in the blueprint
+    const assetPaths = [];
+    const seenUrls = new Set();
+
+    for (const ref of findAssetRefs(blueprintJson)) {
+      if (seenUrls.has(ref.url)) continue;
+      seenUrls.add(ref.url);
+
+      const fileName = getAssetFileName(ref.url);
+      const assetPath = path.join(globalAssetsDir, fileName);
+      if (fs.existsSync(assetPath)) {
+        assetPaths.push({
+          type: getAssetRefType(ref),
+          url: ref.url.replace(
+            fileName,
+            assetMapping[fileName]?.originalName || fileName
+          ),
+          path: assetPath,
+          originalName: assetMapping[fileName]?.originalName,
+        });
+      } else {
+        console.warn(
+          chalk.yellow(
+            `Warning: Asset ${fileName} referenced by ${ref.field} not found in global assets`
+          )
+        );
+      }
+    }
+
+    // Read asset files and create header
+    const assets = [];
+    console.log(chalk.blue("\nCollecting assets:"));
+
+    for (const assetInfo of assetPaths) {
+      const stat = fs.statSync(assetInfo.path);
+
+      // If we're using original names in the .hyp file, prepare the name to show
+      const displayName =
+        assetInfo.originalName || path.basename(assetInfo.path);
+
+      console.log(
+        chalk.green(`- ${displayName}`) +
+          chalk.dim(` (${assetInfo.type}, ${formatBytes(stat.size)})`)
+      );
+
+      // Asset data is streamed into the output later, only hash it here
+      assets.push({
+        type: assetInfo.type,
+        url: assetInfo.url,
+        path: assetInfo.path,
+        displayName,
+        size: stat.size,
+        mime: getMimeType(assetInfo.path),
+        hash: await hashFile(assetInfo.path),
+      });
+    }
+
+    // Create a version of blueprintJson with original asset paths
+    const packedBlueprint = rewriteAssetRefs(blueprintJson, (url) => {
+      const fileName = getAssetFileName(url);
+      if (assetMapping[fileName]) {
+        return `asset://${assetMapping[fileName].originalName}`;
+      }
+    });
+
+    // Compress asset payloads into temporary files if requested
+    const tempDir = options.compress
+      ? await fsPromises.mkdtemp(path.join(os.tmpdir(), "hyp-pack-"))
+      : null;
+
+    try {
+      if (options.compress) {
+        await compressAssets(assets, options.compress, tempDir);
+      }
+
+      outputPath = await writeHypFile(outputPath, packedBlueprint, assets);
+    } finally {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+
+    console.log(chalk.green(`\nCreated .hyp file: ${outputPath}`));
+    return {
+      path: outputPath,
+      blueprint: packedBlueprint,
+      assets: assets.map(({ type, url, size, originalSize, mime, hash }) => ({
+        type,
+        url,
+        size,
+        originalSize: originalSize ?? size,
+        mime,
+        hash,
+      })),
+    };
+  } catch (error) {
+    if (error instanceof PackError) throw error;
+    throw new PackError(`Error packing directory: ${error.message}`, {
+      dir: dirPath,
+      cause: error,
+    });
+  }
+}
+
+// Compress each asset's data into a temporary file, recording the codec and
+// sizes on the asset. Assets that don't shrink (e.g. already-compressed
+// images) are kept as-is
+async function compressAssets(assets, compress, tempDir) {
+  const codec = COMPRESSION_CODECS[compress];
+  console.log(chalk.blue(`\nCompressing assets (${compress}):`));
+
+  for (const [index, asset] of assets.entries()) {
+    const compressedPath = path.join(tempDir, `${index}.bin`);
+    await pipeline(
+      fs.createReadStream(asset.path),
+      codec.createCompressor(),
+      fs.createWriteStream(compressedPath)
+    );
+
+    const compressedSize = fs.statSync(compressedPath).size;
+    if (compressedSize < asset.size) {
+      asset.compression = compress;
+      asset.originalSize = asset.size;
+      asset.size = compressedSize;
+      asset.dataPath = compressedPath;
+    }
+
+    console.log(
+      chalk.green(`- ${asset.displayName}`) +
+        chalk.dim(
+          asset.compression
+            ? ` (${formatBytes(asset.originalSize)} → ${formatBytes(asset.size)})`
+            : " (stored uncompressed)"
+        )
+    );
+  }
+}
+
+// Describe an asset in a container header
+function toHeaderAsset(asset) {
+  return {
+    type: asset.type,
+    url: asset.url,
+    size: asset.size,
+    mime: asset.mime,
+    hash: asset.hash,
+    ...(asset.compression && {
+      compression: asset.compression,
+      originalSize: asset.originalSize,
+    }),
+  };
+}
+
+// Write a container file: the length-prefixed JSON header, then each asset's
+// data streamed into the file in turn
+async function writeContainer(outputPath, header, assets) {
+  // Convert header to bytes
+  const headerBytes = str2ab(JSON.stringify(header));
+
+  // Create header size prefix (4 bytes)
+  const headerSize = new Uint8Array(4);
+  new DataView(headerSize.buffer).setUint32(0, headerBytes.length, true);
+
+  async function* contents() {
+    yield headerSize;
+    yield headerBytes;
+
+    for (const [index, asset] of assets.entries()) {
+      yield* fs.createReadStream(asset.dataPath || asset.path);
+      console.log(
+        chalk.dim(`[${index + 1}/${assets.length}] `) +
+          chalk.green(asset.displayName) +
+          chalk.dim(` (${formatBytes(asset.size)})`)
+      );
+    }
+  }
+
+  console.log(chalk.blue("\nWriting assets:"));
+  try {
+    ensureDir(path.dirname(outputPath));
+    await pipeline(contents, fs.createWriteStream(outputPath));
+  } catch (error) {
+    throw new PackError(`Error writing ${outputPath}: ${error.message}`, {
+      output: outputPath,
+      cause: error,
+    });
+  }
+}
+
+// Write a .hyp file from a blueprint and the files holding its asset data
+async function writeHypFile(outputPath, packedBlueprint, assets) {
+  // Create header structure
+  const compressed = assets.some((asset) => asset.compression);
+  const header = {
+    version: compressed ? HYP_FORMAT_VERSION : HYP_UNCOMPRESSED_VERSION,
+    producer: HYP_PRODUCER,
+    blueprint: packedBlueprint,
+    assets: assets.map(toHeaderAsset),
+  };
+
+  // Determine output filename
+  if (!outputPath) {
+    outputPath = path.join(
+      process.cwd(),
+      `${packedBlueprint.name || "app"}.hyp`
+    );
+  } else if (
+    fs.existsSync(outputPath) &&
+    fs.statSync(outputPath).isDirectory()
+  ) {
+    outputPath = path.join(outputPath, `${packedBlueprint.name || "app"}.hyp`);
+  }
+
+  await writeContainer(outputPath, header, assets);
+  return outputPath;
+}
+
+/**
+ * Bundle several built app directories into a .hypkit file. Assets are stored
+ * once by content hash, however many apps reference them
+ * @param {string[]} dirPaths - App directories containing blueprint.json
+ * @param {string} outputPath - Path of the .hypkit file to write
+ * @param {string} globalAssetsDir - Global assets directory
+ * @param {object} [options] - Options object
+ * @param {string} [options.compress] - Compress asset payloads (gzip or brotli)
+ * @returns {Promise<object>} - Output path, app names and asset count
+ * @throws {PackError} - If the apps can't be bundled
+ */
+export async function bundleDirectories(
+  dirPaths,
+  outputPath,
+  globalAssetsDir,
+  options = {}
+) {
+  try {
+    if (options.compress && !COMPRESSION_CODECS[options.compress]) {
+      throw new PackError(
+        `Unknown compression '${options.compress}' (use ${Object.keys(COMPRESSION_CODECS).join(" or ")})`,
+        { output: outputPath }
+      );
+    }
+
+    const apps = [];
+    const assetsByHash = new Map();
+
+    for (const dirPath of dirPaths) {
+      const blueprintPath = path.join(dirPath, "blueprint.json");
+      if (!fs.existsSync(blueprintPath)) {
+        throw new PackError(`blueprint.json not found in ${dirPath}`, {
+          dir: dirPath,
+        });
+      }
+
+      const name = path.basename(path.resolve(dirPath));
+      if (apps.some((app) => app.name === name)) {
+        throw new PackError(`Two app directories are named ${name}`, {
+          dir: dirPath,
+        });
+      }
+
+      const blueprint = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
+      const assetMapping = readAssetMapping(dirPath);
+      console.log(
+        chalk.blue(`Adding app: ${name} (${blueprint.name || "unnamed app"})`)
+      );
+
+      // Refer to each asset by content hash, so identical files are only
+      // stored once however they are named
+      const urls = new Map();
+      for (const ref of findAssetRefs(blueprint)) {
+        if (urls.has(ref.url)) continue;
+
+        const fileName = getAssetFileName(ref.url);
+        const assetPath = path.join(globalAssetsDir, fileName);
+        if (!fs.existsSync(assetPath)) {
+          console.warn(
+            chalk.yellow(
+              `Warning: Asset ${fileName} referenced by ${ref.field} not found in global assets`
+            )
+          );
+          continue;
+        }
+
+        const hash = await hashFile(assetPath);
+        const url = `asset://${hash}${path.extname(fileName)}`;
+        urls.set(ref.url, url);
+
+        if (!assetsByHash.has(hash)) {
+          const displayName = assetMapping[fileName]?.originalName || fileName;
+          assetsByHash.set(hash, {
+            type: getAssetRefType(ref),
+            url,
+            name: displayName,
+            path: assetPath,
+            displayName,
+            size: fs.statSync(assetPath).size,
+            mime: getMimeType(assetPath),
+            hash,
+          });
+        }
+      }
+
+      apps.push({
+        name,
+        blueprint: rewriteAssetRefs(blueprint, (url) => urls.get(url)),
+      });
+    }
+
+    const assets = [...assetsByHash.values()];
+    const tempDir = options.compress
+      ? await fsPromises.mkdtemp(path.join(os.tmpdir(), "hyp-bundle-"))
+      : null;
+
+    try {
+      if (options.compress) {
+        await compressAssets(assets, options.compress, tempDir);
+      }
+
+      const header = {
+        format: HYPKIT_FORMAT,
+        version: HYPKIT_FORMAT_VERSION,
+        producer: HYP_PRODUCER,
+        apps,
+        assets: assets.map((asset) => ({
+          ...toHeaderAsset(asset),
+          name: asset.name,
+        })),
+      };
+      await writeContainer(outputPath, header, assets);
+    } finally {
+      if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    }
+
+    return {
+      outputPath,
+      apps: apps.map((app) => app.name),
+      assetCount: assets.length,
+    };
+  } catch (error) {
+    if (error instanceof PackError) throw error;
+    throw new PackError(`Error bundling apps: ${error.message}`, {
+      output: outputPath,
+      cause: error,
+    });
+  }
+}
+
+// Read the header of a .hypkit bundle without loading its asset payload
+async function readHypKitHeader(filePath, { quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  log(chalk.blue(`Reading bundle: ${filePath}`));
+
+  const handle = await fsPromises.open(filePath, "r");
+  try {
+    const { size: fileSize } = await handle.stat();
+    const { header, headerSize } = await readContainerHeader(
+      handle,
+      fileSize,
+      log
+    );
+
+    if (header.format !== HYPKIT_FORMAT) {
+      throw new Error(`${filePath} is not a .hypkit bundle`);
+    }
+    if (header.version > HYPKIT_FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported .hypkit format version ${header.version} (this tool supports up to ${HYPKIT_FORMAT_VERSION})`
+      );
+    }
+
+    return {
+      version: header.version,
+      producer: header.producer || null,
+      headerSize,
+      fileSize,
+      apps: header.apps,
+      assets: locateAssets(header.assets, headerSize, fileSize).map(
+        (asset, index) => ({
+          ...asset,
+          name: header.assets[index].name || null,
+        })
+      ),
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Extract apps from a .hypkit bundle into app directories, storing their
+ * assets in the global assets folder
+ * @param {string} filePath - Path to the .hypkit file
+ * @param {string} outputDir - Directory to create app directories in
+ * @param {string} globalAssetsDir - Global assets directory
+ * @param {object} [options] - Options object
+ * @param {string[]} [options.names] - Only extract these apps
+ * @returns {Promise<object[]>} - Extracted apps with name, dir, blueprint and
+ *   the assets they reference
+ * @throws {ExtractError} - If the bundle is invalid or can't be extracted
+ */
+export async function unbundleHypKit(
+  filePath,
+  outputDir,
+  globalAssetsDir,
+  options = {}
+) {
+  try {
+    const bundle = await readHypKitHeader(filePath);
+
+    // App names come from the bundle and become directory names, so each must
+    // be a single path segment
+    const errors = [];
+    verifyHypKitApps(bundle.apps, errors);
+    if (errors.length > 0) {
+      throw new ExtractError(`Invalid bundle: ${errors.join("; ")}`, {
+        file: filePath,
+      });
+    }
+
+    let apps = bundle.apps;
+    if (options.names?.length > 0) {
+      const missing = options.names.filter(
+        (name) => !apps.some((app) => app.name === name)
+      );
+      if (missing.length > 0) {
+        throw new ExtractError(
+          `App(s) not found in bundle: ${missing.join(", ")} (bundle contains ${apps.map((app) => app.name).join(", ")})`,
+          { file: filePath }
+        );
+      }
+      apps = apps.filter((app) => options.names.includes(app.name));
+    }
+
+    // Only extract the assets the selected apps reference
+    const usedUrls = new Set(
+      apps.flatMap((app) => findAssetRefs(app.blueprint).map((ref) => ref.url))
+    );
+    const assets = bundle.assets.filter((asset) => usedUrls.has(asset.url));
+
+    ensureDir(globalAssetsDir);
+    console.log(chalk.blue("\nExtracting assets:"));
+    const extracted = new Map();
+
+    for (const [index, asset] of assets.entries()) {
+      const { stored, ...assetInfo } = await extractAsset(
+        filePath,
+        asset,
+        globalAssetsDir
+      );
+      extracted.set(asset.url, {
+        ...assetInfo,
+        originalName: asset.name || assetInfo.originalName,
+        type: asset.type,
+        size: asset.originalSize,
+        mime: asset.mime,
+      });
+
+      console.log(
+        chalk.dim(`[${index + 1}/${assets.length}] `) +
+          chalk.green(asset.name || asset.fileName) +
+          chalk.dim(
+            ` (${asset.type}, ${formatBytes(asset.originalSize)}) → ${assetInfo.filename}${stored ? "" : " (already stored)"}`
+          )
+      );
+    }
+
+    const results = [];
+    for (const app of apps) {
+      const appDir = path.join(outputDir, app.name);
+      const relativeDir = path.relative(outputDir, appDir);
+      if (
+        !relativeDir ||
+        relativeDir === ".." ||
+        relativeDir.startsWith(`..${path.sep}`) ||
+        path.isAbsolute(relativeDir)
+      ) {
+        throw new ExtractError(
+          `App ${app.name} would be extracted outside ${outputDir}`,
+          { file: filePath }
+        );
+      }
+      ensureDir(appDir);
+
+      const blueprint = rewriteAssetRefs(app.blueprint, (url) =>
+        extracted.has(url)
+          ? `asset://${extracted.get(url).filename}`
+          : undefined
+      );
+      const appAssets = [
+        ...new Set(findAssetRefs(app.blueprint).map((ref) => ref.url)),
+      ]
+        .filter((url) => extracted.has(url))
+        .map((url) => extracted.get(url));
+
+      fs.writeFileSync(
+        path.join(appDir, "blueprint.json"),
+        JSON.stringify(blueprint, null, 2)
+      );
+      fs.writeFileSync(
+        path.join(appDir, "app-metadata.json"),
+        JSON.stringify(
+          {
+            extractedAt: new Date().toISOString(),
+            source: filePath,
+            assets: appAssets,
+          },
+          null,
+          2
+        )
+      );
+      console.log(chalk.green(`Extracted app ${app.name} to: ${appDir}`));
+
+      results.push({
+        name: app.name,
+        dir: appDir,
+        blueprint,
+        assets: appAssets,
+      });
+    }
+
+    return results;
+  } catch (error) {
+    if (error instanceof ExtractError) throw error;
+    throw new ExtractError(`Error unbundling .hypkit file: ${error.message}`, {
+      file: filePath,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Pack a built app directory (its blueprint.json, with assets in the global
+ * assets folder) into a .hyp file
+ * @param {string} dir - The app directory
+ * @param {object} [options] - Options object
+ * @param {string} [options.output] - Path of the .hyp file (default: named
+ *   after the app)
+ * @param {string} [options.globalAssets] - Global assets directory
+ * @param {string} [options.compress] - Compress asset payloads (gzip or
+ *   brotli)
+ * @returns {Promise<object>} - The .hyp file's path, packed blueprint and
+ *   assets
+ * @throws {PackError} - If the directory can't be packed
+ */
+export async function packApp(
+  dir,
+  { output, globalAssets = "./assets", compress } = {}
+) {
+  return packDirectory(dir, output, globalAssets, { compress });
+}
+
+/**
+ * Extract a .hyp file, either to an app directory with its assets in the
+ * global assets folder, or (with asSource) to a buildable source file with
+ * its manifest inlined and its assets under their original names
+ * @param {string} file - Path to the .hyp file
+ * @param {object} [options] - Options object
+ * @param {string} [options.output] - Directory to extract the app to
+ * @param {string} [options.globalAssets] - Global assets directory
+ * @param {boolean} [options.asSource] - Extract as a source file
+ * @param {string} [options.appsDir] - Where to write the source file
+ * @param {string} [options.namedAssets] - Where to copy named assets
+ * @param {boolean} [options.force] - Overwrite existing source and named
+ *   assets (with asSource)
+ * @returns {Promise<object>} - The app directory, blueprint and extracted
+ *   assets, or with asSource the source path, manifest and asset paths
+ * @throws {ExtractError} - If the file can't be read or extracted
+ */
+export async function extractHyp(
+  file,
+  {
+    output = "./build",
+    globalAssets = "./assets",
+    asSource = false,
+    appsDir = "./apps",
+    namedAssets = "./named-assets",
+    force = false,
+  } = {}
+) {
+  if (asSource) {
+    return extractHypToSource(file, appsDir, namedAssets, { force });
+  }
+  return extractHypFile(file, output, globalAssets, {});
+}
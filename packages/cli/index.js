@@ -0,0 +1,19 @@
+// index.js
+// The JavaScript API behind the apps CLI, for driving builds, packing,
+// extraction and deploys from scripts. Functions return structured results
+// and throw the errors below instead of exiting
+
+export { buildApp, findAsset, processAssets } from "./build.js";
+export { packApp, extractHyp } from "./hyp.js";
+export { deployApps } from "./deploy.js";
+export {
+  HypError,
+  BuildError,
+  PackError,
+  ExtractError,
+  DeployError,
+} from "./errors.js";
+export { readAliasesFile } from "./rollupAliasPlugin.js";
+export { readBudgetsFile } from "./budgets.js";
+export { readForkAllowlist } from "./rollupSandboxPlugin.js";
+export { loadConfig } from "./config.js";
@@ -0,0 +1,267 @@
+// lintProps.js
+// Static checks that the props in an app's manifest line up with the fields
+// its script declares with app.configure
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseAst } from "rollup/parseAst";
+import { evaluateLiteral, getLocation } from "./rollupManifestPlugin.js";
+import {
+  readSourceAsJavaScript,
+  resolveSourcePath,
+} from "./rollupTypeScriptPlugin.js";
+import { resolveAlias } from "./rollupAliasPlugin.js";
+
+// Field properties that take part in the checks. Anything else (labels,
+// hints, callbacks) is ignored
+const FIELD_PROPERTIES = ["key", "type", "kind", "options", "initial"];
+
+// Field types that only lay out the configure panel and edit no prop
+const LAYOUT_FIELD_TYPES = ["section"];
+
+// Visit every node in an AST
+function walk(node, visit) {
+  visit(node);
+  for (const value of Object.values(node)) {
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child.type === "string") {
+        walk(child, visit);
+      }
+    }
+  }
+}
+
+function isConfigureCall(node) {
+  return (
+    node.type === "CallExpression" &&
+    node.callee.type === "MemberExpression" &&
+    !node.callee.computed &&
+    node.callee.object.type === "Identifier" &&
+    node.callee.object.name === "app" &&
+    node.callee.property.name === "configure"
+  );
+}
+
+// Read the statically known properties of one configure field
+function readField(node, file, code) {
+  const { line, column } = getLocation(code, node.start);
+  const field = { loc: `${file}:${line}:${column}` };
+
+  for (const property of node.properties) {
+    if (property.type !== "Property" || property.computed) continue;
+    const name =
+      property.key.type === "Identifier"
+        ? property.key.name
+        : String(property.key.value);
+    if (!FIELD_PROPERTIES.includes(name)) continue;
+
+    try {
+      field[name] = evaluateLiteral(property.value, (message) => {
+        throw new Error(message);
+      });
+    } catch {
+      field.dynamic = true;
+    }
+  }
+
+  return field;
+}
+
+/**
+ * Read the fields an app script declares with app.configure, following its
+ * relative and aliased imports
+ * @param {string} entryPath - Path to the app's source file
+ * @param {object} [aliases] - Import aliases, as returned by readAliasesFile
+ * @returns {object} - Fields with key, type, kind, options, initial and loc,
+ *   and problems reading the sources
+ */
+export function readConfigureFields(entryPath, aliases = {}) {
+  const fields = [];
+  const problems = [];
+
+  const visited = new Set();
+  const queue = [path.resolve(entryPath)];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (visited.has(file)) continue;
+    visited.add(file);
+
+    let code;
+    let program;
+    try {
+      code = readSourceAsJavaScript(file);
+      program = parseAst(code);
+    } catch (error) {
+      problems.push(`${file}: could not be parsed: ${error.message}`);
+      continue;
+    }
+
+    walk(program, (node) => {
+      const source =
+        (node.type === "ImportDeclaration" ||
+          node.type === "ExportNamedDeclaration" ||
+          node.type === "ExportAllDeclaration") &&
+        node.source?.value;
+      // Follow the imports the build would bundle from app sources, the same
+      // way the alias plugin resolves them
+      const target =
+        typeof source === "string" &&
+        (source.startsWith(".") ? source : resolveAlias(source, aliases));
+      if (target) {
+        const resolved = resolveSourcePath(file, target);
+        if (resolved) queue.push(resolved);
+      }
+
+      if (!isConfigureCall(node)) return;
+
+      const { line, column } = getLocation(code, node.start);
+      const [list] = node.arguments;
+      if (list?.type !== "ArrayExpression") {
+        problems.push(
+          `${file}:${line}:${column}: app.configure is not called with an array literal, its fields can't be checked`
+        );
+        return;
+      }
+
+      for (const element of list.elements) {
+        if (element?.type === "ObjectExpression") {
+          fields.push(readField(element, file, code));
+        } else if (element) {
+          problems.push(
+            `${file}:${line}:${column}: app.configure has a ${element.type} entry, only object literals can be checked`
+          );
+        }
+      }
+    });
+  }
+
+  return { fields, problems };
+}
+
+// Describe a value's type for messages
+function describeType(value) {
+  if (Array.isArray(value)) return "an array";
+  if (value && typeof value === "object") {
+    return value.type ? `an object of type '${value.type}'` : "an object";
+  }
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+// Check a prop value against the field that edits it, returning what was
+// expected or null if the value fits
+function checkPropType(field, value) {
+  // Unset props fall back to the field's initial value
+  if (value === null || value === undefined) return null;
+
+  const optionValues = Array.isArray(field.options)
+    ? field.options.map((option) => option?.value)
+    : null;
+
+  switch (field.type) {
+    case "text":
+    case "textarea":
+    case "color":
+      return typeof value === "string" ? null : "a string";
+
+    case "number":
+    case "range":
+      return typeof value === "number" ? null : "a number";
+
+    case "toggle":
+      return typeof value === "boolean" ? null : "a boolean";
+
+    case "switch":
+    case "dropdown":
+      if (optionValues) {
+        return optionValues.includes(value)
+          ? null
+          : `one of ${optionValues.map((v) => JSON.stringify(v)).join(", ")}`;
+      }
+      return field.type === "switch" && typeof value !== "boolean"
+        ? "a boolean"
+        : null;
+
+    case "file":
+      if (
+        !value ||
+        typeof value !== "object" ||
+        Array.isArray(value) ||
+        typeof value.url !== "string"
+      ) {
+        return "a file ({ type, name, url })";
+      }
+      if (field.kind && value.type !== field.kind) {
+        return `a file of kind '${field.kind}'`;
+      }
+      return null;
+
+    default:
+      // Field types without a known value shape aren't checked
+      return null;
+  }
+}
+
+/**
+ * Compare manifest props against app.configure fields
+ * @param {object} props - The manifest's props
+ * @param {object[]} fields - Fields returned by readConfigureFields
+ * @returns {object[]} - Issues with level (error or warning), kind
+ *   (missing, orphaned, duplicate or type-mismatch), prop and message
+ */
+export function lintProps(props, fields) {
+  const issues = [];
+  const fieldsByKey = new Map();
+
+  for (const field of fields) {
+    if (LAYOUT_FIELD_TYPES.includes(field.type) || field.key === undefined) {
+      continue;
+    }
+
+    if (fieldsByKey.has(field.key)) {
+      issues.push({
+        level: "error",
+        kind: "duplicate",
+        prop: field.key,
+        message: `Field '${field.key}' at ${field.loc} is also declared at ${fieldsByKey.get(field.key).loc}`,
+      });
+      continue;
+    }
+    fieldsByKey.set(field.key, field);
+
+    if (!(field.key in props)) {
+      issues.push({
+        level: "warning",
+        kind: "missing",
+        prop: field.key,
+        message: `Field '${field.key}' at ${field.loc} has no prop in the manifest`,
+      });
+      continue;
+    }
+
+    if (field.dynamic) continue;
+    const expected = checkPropType(field, props[field.key]);
+    if (expected) {
+      issues.push({
+        level: "error",
+        kind: "type-mismatch",
+        prop: field.key,
+        message: `Prop '${field.key}' should be ${expected} for its ${field.type} field at ${field.loc}, found ${describeType(props[field.key])}`,
+      });
+    }
+  }
+
+  for (const key of Object.keys(props)) {
+    if (!fieldsByKey.has(key)) {
+      issues.push({
+        level: "warning",
+        kind: "orphaned",
+        prop: key,
+        message: `Prop '${key}' has no app.configure field`,
+      });
+    }
+  }
+
+  return issues;
+}
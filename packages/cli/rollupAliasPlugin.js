@@ -0,0 +1,90 @@
+// rollupAliasPlugin.js
+// Resolves package-style import aliases, such as `@hyp/gameObject` mapped to
+// a shared source directory, so apps can share modules without long
+// relative paths
+
+import fs from "node:fs";
+import path from "node:path";
+import { resolveSourcePath } from "./rollupTypeScriptPlugin.js";
+
+/**
+ * Read an aliases file, mapping import prefixes to paths relative to the
+ * file, e.g. `{ "@hyp": "./src", "@hyp/gameobject": "./src/gameObject.js" }`
+ * @param {string} filePath - Path to the JSON aliases file
+ * @returns {object} - Absolute target paths keyed by alias
+ */
+export function readAliasesFile(filePath) {
+  const aliases = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!aliases || typeof aliases !== "object" || Array.isArray(aliases)) {
+    throw new Error(`${filePath}: expected an object of paths by alias`);
+  }
+
+  const baseDir = path.dirname(path.resolve(filePath));
+  return Object.fromEntries(
+    Object.entries(aliases).map(([alias, target]) => {
+      if (typeof target !== "string") {
+        throw new Error(`${filePath}: ${alias}: the target must be a path`);
+      }
+      if (alias.startsWith(".") || alias.endsWith("/")) {
+        throw new Error(
+          `${filePath}: ${alias}: aliases can't be relative or end with '/'`
+        );
+      }
+      return [alias, path.resolve(baseDir, target)];
+    })
+  );
+}
+
+/**
+ * Map an import specifier through the aliases. An alias matches the
+ * specifier itself or any path below it, and the longest match wins
+ * @param {string} source - The import specifier
+ * @param {object} aliases - Aliases returned by readAliasesFile
+ * @returns {string|null} - The aliased path, or null if no alias matches
+ */
+export function resolveAlias(source, aliases) {
+  const alias = Object.keys(aliases)
+    .filter((name) => source === name || source.startsWith(`${name}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!alias) {
+    return null;
+  }
+  return path.join(aliases[alias], source.slice(alias.length));
+}
+
+// The aliases as TypeScript `paths`, so `apps check` resolves them too
+export function toTsPaths(aliases) {
+  return Object.fromEntries(
+    Object.entries(aliases).flatMap(([alias, target]) => [
+      [alias, [target]],
+      [`${alias}/*`, [path.join(target, "*")]],
+    ])
+  );
+}
+
+/**
+ * Resolve aliased imports to source files, trying the same extensions and
+ * index files as relative imports
+ * @param {object} options - Options object
+ * @param {object} options.aliases - Aliases returned by readAliasesFile
+ */
+export default function aliasPlugin({ aliases }) {
+  return {
+    name: "alias",
+
+    resolveId(source, importer) {
+      const target = resolveAlias(source, aliases);
+      if (!target) {
+        return null;
+      }
+
+      const resolved = resolveSourcePath(importer ?? target, target);
+      if (!resolved) {
+        this.error(
+          `Could not resolve '${source}': no source file found at ${target}`
+        );
+      }
+      return resolved;
+    },
+  };
+}
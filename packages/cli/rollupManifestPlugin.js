@@ -1,69 +1,196 @@
 // rollupManifestPlugin.js
+import MagicString from 'magic-string';
+import { parseAst } from 'rollup/parseAst';
+
+// Source extensions the manifest is extracted from
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// Convert a character offset into a 1-based line and column
+export function getLocation(code, pos) {
+  const lines = code.slice(0, pos).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Error raised for an invalid manifest, carrying the position of the
+// offending node so it can be reported as file:line:column
+export class ManifestError extends Error {
+  constructor(message, id, code, pos) {
+    const { line, column } = getLocation(code, pos);
+    super(`${id}:${line}:${column}: ${message}`);
+    this.name = 'ManifestError';
+    this.id = id;
+    this.pos = pos;
+    this.loc = { file: id, line, column };
+  }
+}
+
+// Find the top-level `const manifest = ...` declaration, exported or not
+function findManifestDeclaration(program) {
+  for (const statement of program.body) {
+    const declaration =
+      statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type !== 'VariableDeclaration') continue;
+
+    const declarator = declaration.declarations.find(
+      (d) => d.id.type === 'Identifier' && d.id.name === 'manifest'
+    );
+    if (declarator) {
+      return { statement, declaration, declarator };
+    }
+  }
+  return null;
+}
+
+// Evaluate a literal expression node into a JSON value. Anything that would
+// need code to run (calls, identifiers, spreads, interpolated templates) is
+// refused rather than executed
+export function evaluateLiteral(node, fail) {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex || node.bigint !== undefined) {
+        fail(`${node.regex ? 'Regular expressions' : 'BigInts'} are not allowed in the manifest`, node);
+      }
+      return node.value;
+
+    case 'TemplateLiteral':
+      if (node.expressions.length > 0) {
+        fail('Template strings in the manifest cannot contain ${} expressions', node.expressions[0]);
+      }
+      return node.quasis[0].value.cooked;
+
+    case 'UnaryExpression':
+      if ((node.operator === '-' || node.operator === '+') &&
+          node.argument.type === 'Literal' && typeof node.argument.value === 'number') {
+        return node.operator === '-' ? -node.argument.value : node.argument.value;
+      }
+      break;
+
+    case 'ArrayExpression':
+      return node.elements.map((element) => {
+        if (element === null) {
+          fail('Array holes are not allowed in the manifest', node);
+        }
+        return evaluateLiteral(element, fail);
+      });
+
+    case 'ObjectExpression': {
+      const object = {};
+      for (const property of node.properties) {
+        if (property.type !== 'Property') {
+          fail('Spread properties are not allowed in the manifest', property);
+        }
+        if (property.kind !== 'init' || property.method) {
+          fail('Methods and accessors are not allowed in the manifest', property);
+        }
+        if (property.shorthand) {
+          fail(`Shorthand property '${property.key.name}' refers to a variable, write the value inline`, property);
+        }
+
+        let key;
+        if (!property.computed && property.key.type === 'Identifier') {
+          key = property.key.name;
+        } else if (property.key.type === 'Literal') {
+          key = String(property.key.value);
+        } else {
+          fail('Computed property keys are not allowed in the manifest', property.key);
+        }
+        object[key] = evaluateLiteral(property.value, fail);
+      }
+      return object;
+    }
+  }
+
+  fail(`Manifest values must be literals, found ${node.type}`, node);
+}
+
+/**
+ * Extract the manifest declared in an app script
+ * @param {string} code - Source code of the script
+ * @param {string} id - File name used in error messages
+ * @returns {object|null} - The manifest value and the [start, end) range of
+ *   its declaration statement, or null if the script declares no manifest
+ */
+export function extractManifest(code, id) {
+  // Skip parsing scripts that can't contain a manifest
+  if (!/\bmanifest\b/.test(code)) {
+    return null;
+  }
+
+  const program = parseAst(code);
+  const found = findManifestDeclaration(program);
+  if (!found) {
+    return null;
+  }
+
+  const { statement, declaration, declarator } = found;
+  const fail = (message, node) => {
+    throw new ManifestError(message, id, code, node.start);
+  };
+
+  if (declaration.declarations.length > 1) {
+    fail('The manifest must be declared on its own', declaration);
+  }
+  if (!declarator.init) {
+    fail('The manifest has no value', declarator);
+  }
+  if (declarator.init.type !== 'ObjectExpression') {
+    fail(`The manifest must be an object literal, found ${declarator.init.type}`, declarator.init);
+  }
+
+  return {
+    manifest: evaluateLiteral(declarator.init, fail),
+    start: statement.start,
+    end: statement.end,
+  };
+}
+
 export default function manifestPlugin(options = {}) {
   return {
     name: 'manifest-extractor',
-    
+
     // Transform hook runs for each module
     transform(code, id) {
       // Only process JavaScript files
-      if (!id.endsWith('.js') && !id.endsWith('.jsx') && !id.endsWith('.ts') && !id.endsWith('.tsx')) {
+      if (!SOURCE_EXTENSIONS.some((ext) => id.endsWith(ext))) {
         return null;
       }
-      
-      // Check if the file contains a manifest declaration
-      const manifestStart = code.indexOf('const manifest = {');
-      if (manifestStart === -1) {
+
+      // Only app sources declare manifests, never bundled dependencies
+      if (id.split(/[\\/]/).includes('node_modules')) {
         return null;
       }
-      
+
+      let extracted;
       try {
-        // Use brace counting to find the end of the manifest object
-        let braceCount = 0;
-        let manifestEnd = manifestStart;
-        
-        // Start counting from where the object begins (after the "const manifest = " part)
-        let objectStart = code.indexOf('{', manifestStart);
-        
-        for (let i = objectStart; i < code.length; i++) {
-          if (code[i] === '{') braceCount++;
-          if (code[i] === '}') braceCount--;
-          
-          if (braceCount === 0) {
-            manifestEnd = i + 1; // Include the closing brace
-            break;
-          }
-        }
-        
-        // Extract the complete manifest block
-        const manifestBlock = code.substring(manifestStart, manifestEnd);
-        
-        // Extract just the object literal part
-        const objectLiteral = code.substring(objectStart, manifestEnd);
-        
-        // Safely evaluate the object literal to get the manifest object
-        // Note: In a production environment, use a proper parser like acorn
-        const manifestObj = Function(`return ${objectLiteral}`)();
-        
-        // Emit the manifest as blueprint.json
-        this.emitFile({
-          type: 'asset',
-          fileName: 'blueprint.json',
-          source: JSON.stringify(manifestObj, null, 2)
-        });
-        
-        // Remove the manifest declaration from the code
-        const modifiedCode = code.substring(0, manifestStart) + 
-                            '// manifest extracted for blueprint.json\n' + 
-                            code.substring(manifestEnd);
-        
-        return {
-          code: modifiedCode,
-          map: { mappings: '' }
-        };
+        extracted = extractManifest(code, id);
       } catch (err) {
-        this.error(`Failed to extract manifest: ${err.message}\nIn file: ${id}`);
+        if (err instanceof ManifestError) {
+          this.error(`Failed to extract manifest: ${err.message}`);
+        }
+        // Leave syntax errors for rollup to report when it parses the module
+        return null;
+      }
+
+      if (!extracted) {
         return null;
       }
+
+      // Emit the manifest as blueprint.json
+      this.emitFile({
+        type: 'asset',
+        fileName: 'blueprint.json',
+        source: JSON.stringify(extracted.manifest, null, 2)
+      });
+
+      // Remove the manifest declaration from the code, with a source map so
+      // positions in the rest of the code still trace back to the source
+      const s = new MagicString(code);
+      s.remove(extracted.start, extracted.end);
+
+      return {
+        code: s.toString(),
+        map: s.generateMap({ hires: true })
+      };
     }
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,328 @@
+// rollupSandboxPlugin.js
+// Flags code that can't run in the Hyperfy script sandbox (globals outside
+// the script surface, code evaluation, dynamic import), so apps that would
+// only fail once they are in a world fail the build instead
+
+import fs from "node:fs";
+import { decodeMappings, originalPositionFor } from "./sourceMaps.js";
+import { getLocation } from "./rollupManifestPlugin.js";
+import { needsCompiling } from "./rollupTypeScriptPlugin.js";
+
+// Language built-ins available inside the sandbox
+const BUILTIN_GLOBALS = [
+  "undefined",
+  "NaN",
+  "Infinity",
+  "arguments",
+  "Object",
+  "Array",
+  "Number",
+  "String",
+  "Boolean",
+  "Symbol",
+  "BigInt",
+  "Date",
+  "Math",
+  "JSON",
+  "RegExp",
+  "Promise",
+  "Proxy",
+  "Reflect",
+  "Map",
+  "Set",
+  "WeakMap",
+  "WeakSet",
+  "Error",
+  "AggregateError",
+  "EvalError",
+  "RangeError",
+  "ReferenceError",
+  "SyntaxError",
+  "TypeError",
+  "URIError",
+  "ArrayBuffer",
+  "DataView",
+  "Int8Array",
+  "Uint8Array",
+  "Uint8ClampedArray",
+  "Int16Array",
+  "Uint16Array",
+  "Int32Array",
+  "Uint32Array",
+  "Float32Array",
+  "Float64Array",
+  "BigInt64Array",
+  "BigUint64Array",
+  "parseInt",
+  "parseFloat",
+  "isNaN",
+  "isFinite",
+  "encodeURI",
+  "encodeURIComponent",
+  "decodeURI",
+  "decodeURIComponent",
+];
+
+// Globals Hyperfy hands to scripts, the ones @repo/hyperfy-types declares
+export const HYPERFY_GLOBALS = [
+  "app",
+  "world",
+  "props",
+  "console",
+  "num",
+  "prng",
+  "uuid",
+  "clamp",
+  "DEG2RAD",
+  "RAD2DEG",
+  "Vector3",
+  "Quaternion",
+  "Euler",
+  "Matrix4",
+  "LerpVector3",
+  "LerpQuaternion",
+];
+
+// Names scripts may use without declaring them, unless a fork allows more
+export const SANDBOX_GLOBALS = [...BUILTIN_GLOBALS, ...HYPERFY_GLOBALS];
+
+// Why common offenders fail, for more useful messages
+const HINTS = {
+  eval: "code evaluation is blocked in the sandbox",
+  Function: "code evaluation is blocked in the sandbox",
+  require: "bundle dependencies with import instead",
+  "import()": "bundle modules with static imports instead",
+  "import.meta": "scripts are not loaded as modules",
+  globalThis: "scripts can only reach the globals Hyperfy provides",
+  window: "scripts can only reach the globals Hyperfy provides",
+};
+
+/**
+ * Read the sandbox allowlist of a fork from forks.json. A fork's entry can
+ * list extra globals (or `import()`) its runtime provides, e.g.
+ * `{ "name": "...", "url": "...", "sandbox": { "allow": ["fetch"] } }`
+ * @param {string} forksPath - Path to forks.json
+ * @param {string} forkName - Name of the fork
+ * @returns {string[]} - The names the fork allows on top of SANDBOX_GLOBALS
+ */
+export function readForkAllowlist(forksPath, forkName) {
+  if (!fs.existsSync(forksPath)) {
+    throw new Error(`Forks file '${forksPath}' not found`);
+  }
+
+  const forks = JSON.parse(fs.readFileSync(forksPath, "utf8"));
+  const fork = forks.find((entry) => entry.name === forkName);
+  if (!fork) {
+    throw new Error(
+      `Fork '${forkName}' not found in ${forksPath} (known forks: ${forks.map((entry) => entry.name).join(", ")})`
+    );
+  }
+
+  const allow = fork.sandbox?.allow ?? [];
+  if (!Array.isArray(allow) || allow.some((name) => typeof name !== "string")) {
+    throw new Error(
+      `${forksPath}: sandbox.allow of fork '${forkName}' must be an array of names`
+    );
+  }
+  return allow;
+}
+
+// Collect the names bound by a declaration pattern
+function addPatternNames(pattern, names) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case "Identifier":
+      names.add(pattern.name);
+      break;
+    case "ObjectPattern":
+      for (const property of pattern.properties) {
+        addPatternNames(
+          property.type === "RestElement" ? property.argument : property.value,
+          names
+        );
+      }
+      break;
+    case "ArrayPattern":
+      pattern.elements.forEach((element) => addPatternNames(element, names));
+      break;
+    case "AssignmentPattern":
+      addPatternNames(pattern.left, names);
+      break;
+    case "RestElement":
+      addPatternNames(pattern.argument, names);
+      break;
+  }
+}
+
+// Visit every node with its parent and the key it is held under. Returning
+// false from visit skips the node's children
+function walk(node, visit, parent = null, key = null) {
+  if (visit(node, parent, key) === false) return;
+  for (const [childKey, value] of Object.entries(node)) {
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child.type === "string") {
+        walk(child, visit, node, childKey);
+      }
+    }
+  }
+}
+
+// Whether an identifier names a variable, rather than a property, label or
+// declaration
+function isReference(node, parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case "MemberExpression":
+      return key === "object" || parent.computed;
+    case "Property":
+    case "MethodDefinition":
+    case "PropertyDefinition":
+      return key === "value" || parent.computed;
+    case "LabeledStatement":
+    case "BreakStatement":
+    case "ContinueStatement":
+    case "MetaProperty":
+      return false;
+    case "ImportSpecifier":
+    case "ImportDefaultSpecifier":
+    case "ImportNamespaceSpecifier":
+      return false;
+    case "ExportSpecifier":
+      return key === "local";
+    // Feature detection such as `typeof fetch` is safe anywhere
+    case "UnaryExpression":
+      return parent.operator !== "typeof";
+    default:
+      return true;
+  }
+}
+
+/**
+ * Find uses of names and features outside the sandbox in a module. Names are
+ * treated as declared if the module declares them anywhere, which keeps the
+ * check simple at the cost of missing a global shadowed elsewhere in the
+ * same module
+ * @param {object} program - The module's AST
+ * @param {string[]} allowed - Globals the sandbox provides
+ * @returns {object[]} - Violations with name and start offset
+ */
+export function findSandboxViolations(program, allowed) {
+  const declared = new Set();
+  walk(program, (node) => {
+    switch (node.type) {
+      case "VariableDeclarator":
+        addPatternNames(node.id, declared);
+        break;
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        addPatternNames(node.id, declared);
+        node.params.forEach((param) => addPatternNames(param, declared));
+        break;
+      case "ClassDeclaration":
+      case "ClassExpression":
+        addPatternNames(node.id, declared);
+        break;
+      case "CatchClause":
+        addPatternNames(node.param, declared);
+        break;
+      case "ImportSpecifier":
+      case "ImportDefaultSpecifier":
+      case "ImportNamespaceSpecifier":
+        declared.add(node.local.name);
+        break;
+    }
+  });
+
+  const allowedNames = new Set(allowed);
+  const violations = [];
+  walk(program, (node, parent, key) => {
+    // Re-exports (`export { pick } from "./util.js"`, `export * as ns from
+    // "./x.js"`) only name bindings of another module, which is checked
+    // itself, so nothing in them refers to a variable of this one
+    if (
+      (node.type === "ExportNamedDeclaration" && node.source) ||
+      node.type === "ExportAllDeclaration"
+    ) {
+      return false;
+    }
+
+    let name = null;
+    if (node.type === "ImportExpression") {
+      name = "import()";
+    } else if (node.type === "MetaProperty" && node.meta.name === "import") {
+      name = "import.meta";
+    } else if (
+      node.type === "Identifier" &&
+      !declared.has(node.name) &&
+      isReference(node, parent, key)
+    ) {
+      name = node.name;
+    }
+
+    if (name && !allowedNames.has(name)) {
+      violations.push({ name, start: node.start });
+    }
+  });
+  return violations;
+}
+
+// Describe a violation for build output
+export function formatSandboxViolation({ file, line, column, name }) {
+  const hint = HINTS[name] ? ` (${HINTS[name]})` : "";
+  return `${file}:${line}:${column}: '${name}' is not available in the Hyperfy script sandbox${hint}`;
+}
+
+/**
+ * Check every bundled module against the sandbox
+ * @param {object} options - Options object
+ * @param {string[]} [options.allow] - Extra names to allow, e.g. from a fork
+ * @param {object[]} options.violations - Receives the violations found, with
+ *   file, line, column and name
+ */
+export default function sandboxPlugin({ allow = [], violations }) {
+  const allowed = [...SANDBOX_GLOBALS, ...allow];
+
+  return {
+    name: "sandbox",
+
+    // Violations are stored on the module so they are reported again when it
+    // comes from the cache of a previous build
+    transform(code, id) {
+      // Helpers generated by other plugins (ids starting with \0) only touch
+      // globals behind typeof checks
+      if (id.startsWith("\0")) {
+        return { meta: { sandbox: [] } };
+      }
+
+      const found = findSandboxViolations(this.parse(code), allowed);
+      if (found.length === 0) {
+        return { meta: { sandbox: [] } };
+      }
+
+      // Compiled sources are reported at their original positions
+      const sourceMap = needsCompiling(id) ? this.getCombinedSourcemap() : null;
+      const lines = sourceMap && decodeMappings(sourceMap.mappings);
+
+      const located = found.map(({ name, start }) => {
+        const { line, column } = getLocation(code, start);
+        const original =
+          lines &&
+          originalPositionFor(
+            { ...sourceMap, lines, names: sourceMap.names || [] },
+            line,
+            column
+          );
+        return original
+          ? { file: id, line: original.line, column: original.column, name }
+          : { file: id, line, column, name };
+      });
+      return { meta: { sandbox: located } };
+    },
+
+    moduleParsed(moduleInfo) {
+      violations.push(...(moduleInfo.meta.sandbox ?? []));
+    },
+  };
+}
@@ -0,0 +1,185 @@
+// rollupTypeScriptPlugin.js
+// Compiles TypeScript and JSX app sources to plain JavaScript before the
+// manifest is extracted, so typed apps build the same way as .js apps
+
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+// Extensions compiled by this plugin
+export const COMPILED_EXTENSIONS = [".ts", ".tsx", ".jsx"];
+
+// Extensions tried, in order, when an import leaves the extension off
+const RESOLVE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx"];
+
+const require = createRequire(import.meta.url);
+let typescript;
+
+// Load the TypeScript compiler the first time a source needs it, so apps
+// written in plain JavaScript don't pay for loading it
+export function loadTypeScript() {
+  if (!typescript) {
+    try {
+      typescript = require("typescript");
+    } catch {
+      throw new Error(
+        "Building TypeScript or JSX apps requires the typescript package (npm install typescript)"
+      );
+    }
+  }
+  return typescript;
+}
+
+// Whether a source file is compiled by this plugin. Declaration files only
+// hold types and are never bundled
+export function needsCompiling(id) {
+  return (
+    COMPILED_EXTENSIONS.some((ext) => id.endsWith(ext)) && !id.endsWith(".d.ts")
+  );
+}
+
+/**
+ * Resolve a relative import to a source file. Extensionless imports try each
+ * source extension and index file, and `.js` imports also match a `.ts` or
+ * `.tsx` file, as TypeScript allows
+ * @param {string} importer - Path of the importing file
+ * @param {string} source - The import specifier
+ * @returns {string|null} - The resolved file path, or null if none exists
+ */
+export function resolveSourcePath(importer, source) {
+  const base = path.resolve(path.dirname(importer), source);
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}${ext}`),
+    ...RESOLVE_EXTENSIONS.map((ext) => path.join(base, `index${ext}`)),
+  ];
+  if (base.endsWith(".js")) {
+    candidates.push(base.slice(0, -3) + ".ts", base.slice(0, -3) + ".tsx");
+  }
+
+  return (
+    candidates.find(
+      (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+    ) || null
+  );
+}
+
+/**
+ * Read the compiler options of the tsconfig.json nearest to a directory
+ * @param {string} dir - Directory to search upwards from
+ * @returns {object} - The parsed compiler options, empty if there is no
+ *   tsconfig.json
+ */
+export function readTsConfigOptions(dir) {
+  const ts = loadTypeScript();
+  const configPath = ts.findConfigFile(dir, ts.sys.fileExists);
+  if (!configPath) {
+    return {};
+  }
+
+  const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+  if (error) {
+    throw new Error(
+      `${configPath}: ${ts.flattenDiagnosticMessageText(error.messageText, "\n")}`
+    );
+  }
+  return ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath))
+    .options;
+}
+
+// Compiler options from the nearest tsconfig.json, cached per directory
+const compilerOptionsCache = new Map();
+
+function getCompilerOptions(dir) {
+  if (compilerOptionsCache.has(dir)) {
+    return compilerOptionsCache.get(dir);
+  }
+
+  const ts = loadTypeScript();
+  const compilerOptions = readTsConfigOptions(dir);
+
+  // Rollup bundles ES modules, whatever module format the tsconfig targets
+  const options = {
+    target: ts.ScriptTarget.ES2020,
+    jsx: ts.JsxEmit.React,
+    ...compilerOptions,
+    module: ts.ModuleKind.ESNext,
+    sourceMap: true,
+    inlineSourceMap: false,
+    inlineSources: false,
+    declaration: false,
+    noEmit: false,
+  };
+  compilerOptionsCache.set(dir, options);
+  return options;
+}
+
+/**
+ * Compile a TypeScript or JSX source to JavaScript. Types are stripped
+ * without being checked
+ * @param {string} code - The source code
+ * @param {string} id - Path of the source file
+ * @returns {object} - The compiled code and its source map
+ */
+export function compileSource(code, id) {
+  const ts = loadTypeScript();
+  const { outputText, sourceMapText, diagnostics } = ts.transpileModule(code, {
+    fileName: id,
+    compilerOptions: getCompilerOptions(path.dirname(id)),
+    reportDiagnostics: true,
+  });
+
+  const syntaxError = diagnostics?.find(
+    (diagnostic) => diagnostic.category === ts.DiagnosticCategory.Error
+  );
+  if (syntaxError) {
+    const { line, character } = syntaxError.file.getLineAndCharacterOfPosition(
+      syntaxError.start
+    );
+    throw new Error(
+      `${id}:${line + 1}:${character + 1}: ${ts.flattenDiagnosticMessageText(syntaxError.messageText, "\n")}`
+    );
+  }
+
+  return {
+    code: outputText.replace(/\n\/\/# sourceMappingURL=.*$/, ""),
+    map: sourceMapText ? JSON.parse(sourceMapText) : null,
+  };
+}
+
+// Read a source file as JavaScript, compiling it first if it needs it
+export function readSourceAsJavaScript(file) {
+  const code = fs.readFileSync(file, "utf8");
+  return needsCompiling(file) ? compileSource(code, file).code : code;
+}
+
+export default function typeScriptPlugin() {
+  return {
+    name: "typescript",
+
+    // Dependencies' own imports are left to node-resolve, which applies
+    // their package.json `browser` remaps
+    resolveId(source, importer) {
+      if (
+        !importer ||
+        !source.startsWith(".") ||
+        importer.split(/[\\/]/).includes("node_modules")
+      ) {
+        return null;
+      }
+      return resolveSourcePath(importer, source);
+    },
+
+    transform(code, id) {
+      if (!needsCompiling(id)) {
+        return null;
+      }
+
+      try {
+        return compileSource(code, id);
+      } catch (err) {
+        this.error(err.message);
+      }
+    },
+  };
+}
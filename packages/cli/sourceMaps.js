@@ -0,0 +1,135 @@
+// sourceMaps.js
+// Reads the source maps written next to built scripts and maps positions in
+// a built script back to the app sources, for remapping stack traces
+
+import fs from "node:fs";
+
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = new Map(
+  [...BASE64_CHARS].map((char, index) => [char, index])
+);
+
+// Decode one line's worth of base64 VLQ segments into arrays of numbers
+function decodeSegments(line) {
+  const segments = [];
+  let segment = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of line) {
+    if (char === ",") {
+      segments.push(segment);
+      segment = [];
+      continue;
+    }
+
+    const digit = BASE64_VALUES.get(char);
+    if (digit === undefined) {
+      throw new Error(`Invalid character '${char}' in source map mappings`);
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+
+    // The lowest bit holds the sign
+    segment.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+
+  if (segment.length > 0) {
+    segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * Decode a source map's mappings into absolute positions
+ * @param {string} mappings - The map's `mappings` field
+ * @returns {object[][]} - For each generated line, its segments sorted by
+ *   column, each with column, and source, line, column and name indexes
+ *   when the segment maps to a source
+ */
+export function decodeMappings(mappings) {
+  // Everything but the generated column is relative to the previous segment
+  // across lines
+  let source = 0;
+  let line = 0;
+  let column = 0;
+  let name = 0;
+
+  return mappings.split(";").map((text) => {
+    let generatedColumn = 0;
+    return decodeSegments(text)
+      .map((fields) => {
+        generatedColumn += fields[0];
+        const segment = { generatedColumn };
+        if (fields.length >= 4) {
+          source += fields[1];
+          line += fields[2];
+          column += fields[3];
+          Object.assign(segment, { source, line, column });
+        }
+        if (fields.length >= 5) {
+          name += fields[4];
+          segment.name = name;
+        }
+        return segment;
+      })
+      .sort((a, b) => a.generatedColumn - b.generatedColumn);
+  });
+}
+
+/**
+ * Read a source map file and decode its mappings
+ * @param {string} mapPath - Path to the .map file
+ * @returns {object} - The parsed map with its decoded mappings as `lines`
+ */
+export function readSourceMap(mapPath) {
+  const map = JSON.parse(fs.readFileSync(mapPath, "utf8"));
+  if (map.version !== 3 || typeof map.mappings !== "string") {
+    throw new Error(`${mapPath} is not a version 3 source map`);
+  }
+  return { ...map, lines: decodeMappings(map.mappings) };
+}
+
+/**
+ * Find the source position a built script position came from
+ * @param {object} sourceMap - A map returned by readSourceMap
+ * @param {number} line - 1-based line in the built script
+ * @param {number} column - 1-based column in the built script
+ * @returns {object|null} - The source file, 1-based line and column, and
+ *   the original name if the map records one, or null if the position maps
+ *   to no source (such as the build banner)
+ */
+export function originalPositionFor(sourceMap, line, column) {
+  const segments = sourceMap.lines[line - 1];
+  if (!segments) {
+    return null;
+  }
+
+  // The position belongs to the last segment starting at or before it
+  let found = null;
+  for (const segment of segments) {
+    if (segment.generatedColumn > column - 1) break;
+    found = segment;
+  }
+  if (!found || found.source === undefined) {
+    return null;
+  }
+
+  return {
+    source: sourceMap.sources[found.source],
+    line: found.line + 1,
+    column: found.column + 1,
+    name: found.name !== undefined ? sourceMap.names[found.name] : null,
+  };
+}
+
+// Source maps are stored next to the hashed script they describe
+export function getSourceMapFileName(scriptFileName) {
+  return `${scriptFileName}.map`;
+}
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../apps.js", import.meta.url));
+
+// A temporary project with the given files, removed after the test
+function makeProject(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyp-apps-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), contents);
+  }
+  return dir;
+}
+
+// Run the apps CLI in a project, returning its exit code and output
+function run(dir, args) {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [CLI, ...args],
+    { cwd: dir, encoding: "utf8", env: { ...process.env, FORCE_COLOR: "0" } }
+  );
+  return { status, output: stdout + stderr };
+}
+
+test("build exits with the build failure code when an app fails", (t) => {
+  const dir = makeProject(t, {
+    "apps/good.js": `app.on("update", () => {});`,
+    "apps/bad.js": `fetch("https://example.com");`,
+  });
+
+  const { status, output } = run(dir, ["build", "-j", "1"]);
+  assert.equal(status, 2);
+  assert.match(output, /1 app\(s\) failed to build/);
+  assert.ok(fs.existsSync(path.join(dir, "build/good/blueprint.json")));
+});
+
+test("deploy refuses a blueprint ID for several source apps", (t) => {
+  const dir = makeProject(t, {
+    "apps/one.js": `app.on("update", () => {});`,
+    "apps/two.js": `app.on("update", () => {});`,
+  });
+
+  const { status, output } = run(dir, [
+    "deploy",
+    "--blueprint-id",
+    "shared",
+    "--db-path",
+    "world.sqlite",
+  ]);
+  assert.equal(status, 5);
+  assert.match(output, /blueprint ID can only be used with a single app/);
+  assert.ok(!fs.existsSync(path.join(dir, "build/one")));
+  assert.ok(!fs.existsSync(path.join(dir, "world.sqlite")));
+});
+
+test("pack and extract failures exit with their own codes", (t) => {
+  const dir = makeProject(t, {
+    "build/empty/readme.txt": "",
+    "broken.hyp": "not a container",
+    "broken.hypkit": "not a container",
+  });
+
+  assert.equal(run(dir, ["pack", "missing"]).status, 3);
+  assert.equal(run(dir, ["pack", "build/empty"]).status, 3);
+  assert.equal(
+    run(dir, ["bundle", "build/empty", "-o", "kit.hypkit"]).status,
+    3
+  );
+
+  assert.equal(run(dir, ["extract", "missing.hyp"]).status, 4);
+  assert.equal(run(dir, ["extract", "broken.hyp"]).status, 4);
+  assert.equal(run(dir, ["unbundle", "broken.hypkit"]).status, 4);
+  assert.equal(run(dir, ["info", "missing.hyp"]).status, 4);
+
+  const { status, output } = run(dir, ["verify", "broken.hyp"]);
+  assert.equal(status, 4);
+  assert.match(output, /Verification failed with 1 error\(s\)/);
+});
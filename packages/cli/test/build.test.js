@@ -0,0 +1,208 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseAst } from "rollup/parseAst";
+
+import { buildApp, buildApps, findAsset, processAssets } from "../build.js";
+import { SCRIPT_BANNER } from "../hyp.js";
+
+// A temporary directory with the given files, removed after the test
+function makeDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyp-build-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), contents);
+  }
+  return dir;
+}
+
+// Run a test from a working directory, restoring the previous one after
+function chdir(t, dir) {
+  const previous = process.cwd();
+  process.chdir(dir);
+  t.after(() => process.chdir(previous));
+}
+
+test("findAsset prefers the search dirs over the working directory", (t) => {
+  const dir = makeDir(t, {
+    "model.glb": "cwd",
+    "apps/pet/assets/model.glb": "app",
+    "named-assets/model.glb": "shared",
+  });
+  chdir(t, dir);
+
+  const searchDirs = [path.join(dir, "apps/pet/assets"), "named-assets"];
+  for (const ref of ["model.glb", "asset://model.glb"]) {
+    const asset = findAsset(ref, searchDirs);
+    assert.equal(fs.readFileSync(asset.originalPath, "utf8"), "app");
+  }
+  assert.equal(
+    fs.readFileSync(
+      findAsset("model.glb", ["named-assets"]).originalPath,
+      "utf8"
+    ),
+    "shared"
+  );
+});
+
+test("findAsset falls back to the path as given", (t) => {
+  const dir = makeDir(t, { "models/tree.glb": "cwd" });
+  chdir(t, dir);
+
+  assert.equal(
+    findAsset("models/tree.glb", []).originalPath,
+    "models/tree.glb"
+  );
+  assert.equal(
+    findAsset(path.join(dir, "models/tree.glb"), []).originalPath,
+    path.join(dir, "models/tree.glb")
+  );
+  assert.equal(findAsset("missing.glb", [dir]), null);
+});
+
+test("processAssets stores a file referenced two ways once", async (t) => {
+  const dir = makeDir(t, { "assets/model.glb": "model" });
+  const appDir = path.join(dir, "build/pet");
+  fs.mkdirSync(appDir, { recursive: true });
+
+  const { blueprint, assets } = await processAssets(
+    {
+      model: "model.glb",
+      props: { body: { url: "asset://model.glb" } },
+    },
+    {
+      appDir,
+      searchDirs: [path.join(dir, "assets")],
+      globalAssetsDir: path.join(dir, "store"),
+    }
+  );
+
+  assert.equal(assets.length, 1);
+  assert.equal(blueprint.model, `asset://${assets[0].filename}`);
+  assert.equal(blueprint.props.body.url, `asset://${assets[0].filename}`);
+});
+
+test("buildApp uses the browser build of dependencies", async (t) => {
+  const dir = makeDir(t, {
+    "node_modules/fake-dep/package.json": JSON.stringify({
+      name: "fake-dep",
+      main: "index.js",
+      browser: { "./impl.js": "./impl-browser.js" },
+    }),
+    "node_modules/fake-dep/index.js": `export { platform } from "./impl.js";`,
+    "node_modules/fake-dep/impl.js": `import fs from "fs";\nexport const platform = fs ? "node" : "none";`,
+    "node_modules/fake-dep/impl-browser.js": `export const platform = "browser";`,
+    "apps/dep.js": `import { platform } from "fake-dep";\napp.on("update", () => console.log(platform));`,
+  });
+
+  const globalAssets = path.join(dir, "assets");
+  const { blueprint } = await buildApp(path.join(dir, "apps/dep.js"), {
+    output: path.join(dir, "build"),
+    globalAssets,
+    assetsDir: path.join(dir, "named-assets"),
+    cacheDir: path.join(dir, "cache"),
+  });
+
+  const script = fs.readFileSync(
+    path.join(globalAssets, blueprint.script.slice("asset://".length)),
+    "utf8"
+  );
+  assert.match(script, /"browser"/);
+  assert.doesNotMatch(script, /"node"/);
+});
+
+test("minified scripts keep the build banner", async (t) => {
+  const dir = makeDir(t, {
+    "apps/tick.js": `let n = 0;\napp.on("update", (dt) => {\n  n += dt;\n});\n`,
+  });
+
+  for (const minify of [false, true]) {
+    const globalAssets = path.join(dir, "assets");
+    const { blueprint } = await buildApp(path.join(dir, "apps/tick.js"), {
+      output: path.join(dir, "build"),
+      globalAssets,
+      assetsDir: path.join(dir, "named-assets"),
+      cacheDir: path.join(dir, "cache"),
+      minify,
+    });
+
+    const script = fs.readFileSync(
+      path.join(globalAssets, blueprint.script.slice("asset://".length)),
+      "utf8"
+    );
+    assert.ok(script.startsWith(`${SCRIPT_BANNER}\n`), script);
+    assert.doesNotThrow(() => parseAst(script));
+  }
+});
+
+test("buildApp rebuilds when a missing or shadowing asset appears", async (t) => {
+  const dir = makeDir(t, {
+    "apps/pet/index.js": `app.on("update", () => {});`,
+    "apps/pet/manifest.json": JSON.stringify({
+      name: "pet",
+      model: "thing.glb",
+      image: { url: "icon.png" },
+    }),
+    "named-assets/icon.png": "shared icon",
+  });
+  const options = {
+    output: path.join(dir, "build"),
+    globalAssets: path.join(dir, "assets"),
+    assetsDir: path.join(dir, "named-assets"),
+    cacheDir: path.join(dir, "cache"),
+  };
+  const build = () => buildApp(path.join(dir, "apps/pet"), options);
+
+  const first = await build();
+  assert.equal(first.blueprint.model, "thing.glb");
+  assert.equal((await build()).cached, true);
+
+  // The missing model is added
+  fs.writeFileSync(path.join(dir, "named-assets/thing.glb"), "model");
+  const second = await build();
+  assert.equal(second.cached, false);
+  assert.match(second.blueprint.model, /^asset:\/\/[0-9a-f]{64}\.glb$/);
+  assert.equal((await build()).cached, true);
+
+  // An icon in the app's own assets folder takes over from the shared one
+  fs.mkdirSync(path.join(dir, "apps/pet/assets"));
+  fs.writeFileSync(path.join(dir, "apps/pet/assets/icon.png"), "app icon");
+  const third = await build();
+  assert.equal(third.cached, false);
+  assert.notEqual(third.blueprint.image.url, second.blueprint.image.url);
+});
+
+test("buildApps puts the console back after building in parallel", async (t) => {
+  const dir = makeDir(t, {
+    "apps/one.js": `app.on("update", () => {});`,
+    "apps/two.js": `app.on("update", () => {});`,
+  });
+  const { log, warn, error } = console;
+
+  const built = await buildApps(
+    ["one", "two"].map((name) => ({
+      name,
+      path: path.join(dir, `apps/${name}.js`),
+    })),
+    {
+      output: path.join(dir, "build"),
+      appsDir: path.join(dir, "apps"),
+      globalAssets: path.join(dir, "assets"),
+      assetsDir: path.join(dir, "named-assets"),
+      cacheDir: path.join(dir, "cache"),
+      sandboxCheck: true,
+      sandboxAllow: [],
+      aliases: {},
+      budgets: {},
+      jobs: 2,
+    }
+  );
+
+  assert.equal(built.length, 2);
+  assert.equal(console.log, log);
+  assert.equal(console.warn, warn);
+  assert.equal(console.error, error);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import Database from "better-sqlite3";
+
+import { deployApps } from "../deploy.js";
+
+// A world database with the tables deploy writes to
+function makeWorld(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyp-deploy-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const dbPath = path.join(dir, "db.sqlite");
+  const db = new Database(dbPath);
+  for (const table of ["blueprints", "entities"]) {
+    db.exec(
+      `CREATE TABLE ${table} (id TEXT PRIMARY KEY, data TEXT, createdAt TEXT, updatedAt TEXT)`
+    );
+  }
+  db.close();
+  return { dir, dbPath };
+}
+
+function makeApp(dir, name) {
+  const appDir = path.join(dir, "build", name);
+  fs.mkdirSync(appDir, { recursive: true });
+  return { name, dir: appDir, blueprint: { name }, assets: [] };
+}
+
+// Entity data by ID
+function readEntities(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+  const rows = db.prepare("SELECT id, data FROM entities").all();
+  db.close();
+  return Object.fromEntries(rows.map((row) => [row.id, JSON.parse(row.data)]));
+}
+
+test("deployApps writes the entity transform, with per-app overrides", async (t) => {
+  const { dir, dbPath } = makeWorld(t);
+
+  const deployed = await deployApps(
+    [makeApp(dir, "one"), makeApp(dir, "two")],
+    {
+      dbPath,
+      globalAssets: path.join(dir, "assets"),
+      createEntity: true,
+      position: "0,1,2",
+      scale: "2,2,2",
+      apps: { two: { position: [3, 4, 5], scale: [0.5, 1, 0.5] } },
+    }
+  );
+
+  const entities = readEntities(dbPath);
+  const transform = (name) => {
+    const { entityId } = deployed.find((app) => app.name === name);
+    const { position, quaternion, scale } = entities[entityId];
+    return { position, quaternion, scale };
+  };
+  assert.deepEqual(transform("one"), {
+    position: [0, 1, 2],
+    quaternion: [0, 0, 0, 1],
+    scale: [2, 2, 2],
+  });
+  assert.deepEqual(transform("two"), {
+    position: [3, 4, 5],
+    quaternion: [0, 0, 0, 1],
+    scale: [0.5, 1, 0.5],
+  });
+});
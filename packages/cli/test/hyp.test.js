@@ -0,0 +1,444 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync } from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseAst } from "rollup/parseAst";
+
+import { ExtractError, PackError } from "../errors.js";
+import {
+  SCRIPT_BANNER,
+  bundleDirectories,
+  extractHyp,
+  hashData,
+  packApp,
+  repairHypFile,
+  signHypFile,
+  storeAsset,
+  unbundleHypKit,
+  verifyHypFile,
+  verifyHypSignature,
+} from "../hyp.js";
+
+// An app's files: a script and a model repetitive enough to compress
+const SWORD_FILES = {
+  "sword.js": `app.on("update", () => {});\n`.repeat(64),
+  "sword.glb": `glTF${"\0sword".repeat(1024)}`,
+};
+
+// A temporary directory, removed after the test
+function makeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyp-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A built app directory whose blueprint references the given files, stored
+// in the global assets folder like a build would
+async function makeApp(dir, name, files) {
+  const globalAssets = path.join(dir, "assets");
+  const sourceDir = path.join(dir, "sources", name);
+  fs.mkdirSync(sourceDir, { recursive: true });
+
+  const props = {};
+  let script;
+  for (const [file, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(sourceDir, file), contents);
+    const { filename } = await storeAsset(
+      path.join(sourceDir, file),
+      globalAssets
+    );
+    if (file.endsWith(".js")) {
+      script = `asset://${filename}`;
+    } else {
+      props[path.basename(file, path.extname(file))] = {
+        type: "model",
+        url: `asset://${filename}`,
+      };
+    }
+  }
+
+  const appDir = path.join(dir, "build", name);
+  fs.mkdirSync(appDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(appDir, "blueprint.json"),
+    JSON.stringify({ name, script, props })
+  );
+  return appDir;
+}
+
+// Write a .hyp file the way the legacy encoder did, one byte per character
+function writeLegacyHyp(file, header, payload) {
+  const headerBytes = Buffer.from(JSON.stringify(header), "latin1");
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32LE(headerBytes.length);
+  fs.writeFileSync(file, Buffer.concat([prefix, headerBytes, payload]));
+}
+
+// Rewrite the JSON header of a .hyp or .hypkit file, keeping its payload
+function rewriteHeader(file, edit) {
+  const buffer = fs.readFileSync(file);
+  const headerSize = buffer.readUInt32LE(0);
+  const header = JSON.parse(buffer.subarray(4, 4 + headerSize).toString());
+  const headerBytes = Buffer.from(JSON.stringify(edit(header) ?? header));
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32LE(headerBytes.length);
+  fs.writeFileSync(
+    file,
+    Buffer.concat([prefix, headerBytes, buffer.subarray(4 + headerSize)])
+  );
+}
+
+test("bundles with app names outside the output directory are rejected", async (t) => {
+  const dir = makeDir(t);
+  const appDir = await makeApp(dir, "sword", { "sword.js": "app;" });
+  const bundlePath = path.join(dir, "apps.hypkit");
+  await bundleDirectories([appDir], bundlePath, path.join(dir, "assets"));
+
+  for (const name of ["../evil", "a/b", "a\\b", "..", "/tmp/evil"]) {
+    rewriteHeader(bundlePath, (header) => {
+      header.apps[0].name = name;
+    });
+
+    const { errors } = await verifyHypFile(bundlePath);
+    assert.ok(
+      errors.some((error) => error.includes("unsafe name")),
+      `${name} passed verification`
+    );
+
+    const outputDir = path.join(dir, "out", "nested");
+    await assert.rejects(
+      unbundleHypKit(bundlePath, outputDir, path.join(dir, "assets"), {
+        names: [name],
+      }),
+      ExtractError
+    );
+    assert.ok(!fs.existsSync(path.join(dir, "out")));
+    assert.ok(!fs.existsSync(path.join(dir, "evil")));
+  }
+});
+
+test("bundle and unbundle failures are typed errors", async (t) => {
+  const dir = makeDir(t);
+  fs.mkdirSync(path.join(dir, "empty"));
+
+  await assert.rejects(
+    bundleDirectories(
+      [path.join(dir, "empty")],
+      path.join(dir, "apps.hypkit"),
+      path.join(dir, "assets")
+    ),
+    PackError
+  );
+  await assert.rejects(
+    unbundleHypKit(
+      path.join(dir, "missing.hypkit"),
+      path.join(dir, "out"),
+      path.join(dir, "assets")
+    ),
+    ExtractError
+  );
+});
+
+test("write failures reject with a PackError instead of crashing", async (t) => {
+  const dir = makeDir(t);
+  const appDir = await makeApp(dir, "sword", { "sword.js": "app;" });
+  // The file to write is a directory, so opening it for writing fails
+  const output = path.join(dir, "out", "sword.hyp");
+  fs.mkdirSync(output, { recursive: true });
+
+  await assert.rejects(
+    packApp(appDir, {
+      output: path.dirname(output),
+      globalAssets: path.join(dir, "assets"),
+    }),
+    PackError
+  );
+  await assert.rejects(
+    bundleDirectories([appDir], output, path.join(dir, "assets")),
+    PackError
+  );
+});
+
+for (const compress of [undefined, "gzip", "brotli"]) {
+  test(`packed apps verify and extract to the same assets (${compress ?? "uncompressed"})`, async (t) => {
+    const dir = makeDir(t);
+    const appDir = await makeApp(dir, "sword", SWORD_FILES);
+    const { path: hypPath } = await packApp(appDir, {
+      output: path.join(dir, "sword.hyp"),
+      globalAssets: path.join(dir, "assets"),
+      compress,
+    });
+
+    const { errors, warnings, header } = await verifyHypFile(hypPath);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+    assert.equal(header.version, compress ? 3 : 2);
+    assert.deepEqual(
+      header.assets.map((asset) => asset.compression ?? null),
+      header.assets.map(() => compress ?? null)
+    );
+    assert.deepEqual(
+      header.assets.map((asset) => asset.hash).sort(),
+      Object.values(SWORD_FILES).map(hashData).sort()
+    );
+
+    const extracted = await extractHyp(hypPath, {
+      output: path.join(dir, "out"),
+      globalAssets: path.join(dir, "extracted-assets"),
+    });
+    const contents = extracted.assets.map((asset) =>
+      fs.readFileSync(
+        path.join(dir, "extracted-assets", asset.filename),
+        "latin1"
+      )
+    );
+    assert.deepEqual(contents.sort(), Object.values(SWORD_FILES).sort());
+    assert.equal(extracted.blueprint.name, "sword");
+    assert.match(extracted.blueprint.script, /^asset:\/\/[0-9a-f]{64}\.js$/);
+  });
+}
+
+test("verify detects an asset that doesn't match its hash", async (t) => {
+  const dir = makeDir(t);
+  const appDir = await makeApp(dir, "sword", SWORD_FILES);
+  const { path: hypPath } = await packApp(appDir, {
+    output: path.join(dir, "sword.hyp"),
+    globalAssets: path.join(dir, "assets"),
+  });
+
+  // Change the last byte of the payload, keeping every size intact
+  const buffer = fs.readFileSync(hypPath);
+  buffer[buffer.length - 1] ^= 1;
+  fs.writeFileSync(hypPath, buffer);
+
+  const { errors } = await verifyHypFile(hypPath);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /does not match its hash/);
+});
+
+test("repair rewrites a legacy single-byte header as UTF-8", async (t) => {
+  const dir = makeDir(t);
+  const script = SWORD_FILES["sword.js"];
+  const header = {
+    blueprint: { name: "Épée", script: "asset://sword.js" },
+    assets: [
+      {
+        type: "script",
+        url: "asset://sword.js",
+        size: script.length,
+        mime: "application/javascript",
+      },
+    ],
+  };
+
+  const legacyPath = path.join(dir, "legacy.hyp");
+  writeLegacyHyp(legacyPath, header, Buffer.from(script));
+
+  const before = await verifyHypFile(legacyPath);
+  assert.deepEqual(before.errors, []);
+  assert.ok(before.warnings.some((warning) => warning.includes("legacy")));
+
+  const repairedPath = path.join(dir, "repaired.hyp");
+  const { repaired, fields } = await repairHypFile(legacyPath, repairedPath);
+  assert.equal(repaired, true);
+  assert.deepEqual(fields, [{ field: "blueprint.name", value: "Épée" }]);
+
+  const after = await verifyHypFile(repairedPath);
+  assert.deepEqual(after.errors, []);
+  assert.deepEqual(after.warnings, []);
+  assert.equal(after.header.blueprint.name, "Épée");
+  assert.equal(after.header.assets[0].hash, hashData(script));
+
+  // Repairing in place replaces the file
+  await repairHypFile(legacyPath, legacyPath);
+  assert.deepEqual(fs.readFileSync(legacyPath), fs.readFileSync(repairedPath));
+});
+
+test("repair rejects truncated and malformed files", async (t) => {
+  const dir = makeDir(t);
+  const file = path.join(dir, "broken.hyp");
+  const blueprint = { name: "Épée" };
+  const asset = { type: "script", url: "asset://sword.js", size: 100 };
+
+  const cases = [
+    [() => fs.writeFileSync(file, "ab"), /too short for a header/],
+    [
+      () => fs.writeFileSync(file, Buffer.from([0xff, 0, 0, 0, 0x7b])),
+      /Header size 255 exceeds file length/,
+    ],
+    [
+      () =>
+        writeLegacyHyp(file, { blueprint, assets: [asset] }, Buffer.alloc(10)),
+      /Declared asset sizes total 100 bytes but payload is 10 bytes/,
+    ],
+    [
+      () => writeLegacyHyp(file, { blueprint, assets: {} }, Buffer.alloc(0)),
+      /Header has no assets array/,
+    ],
+    [
+      () =>
+        writeLegacyHyp(
+          file,
+          { blueprint, assets: [{ ...asset, size: -1 }] },
+          Buffer.alloc(0)
+        ),
+      /has invalid size: -1/,
+    ],
+  ];
+
+  for (const [write, message] of cases) {
+    write();
+    await assert.rejects(
+      repairHypFile(file, path.join(dir, "out.hyp")),
+      (error) => {
+        assert.ok(error instanceof ExtractError);
+        assert.match(error.message, /^Cannot repair /);
+        assert.match(error.message, message);
+        return true;
+      }
+    );
+  }
+  assert.ok(!fs.existsSync(path.join(dir, "out.hyp")));
+});
+
+test("pack keeps characters outside Latin-1 in the header", async (t) => {
+  const dir = makeDir(t);
+  const appDir = await makeApp(dir, "sword", SWORD_FILES);
+  const blueprintPath = path.join(appDir, "blueprint.json");
+  const blueprint = JSON.parse(fs.readFileSync(blueprintPath, "utf8"));
+  blueprint.name = "Épée 剣 🗡️";
+  fs.writeFileSync(blueprintPath, JSON.stringify(blueprint));
+
+  const { path: hypPath } = await packApp(appDir, {
+    output: path.join(dir, "sword.hyp"),
+    globalAssets: path.join(dir, "assets"),
+  });
+  const { errors, warnings, header } = await verifyHypFile(hypPath);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.equal(header.blueprint.name, "Épée 剣 🗡️");
+});
+
+test("signatures stop verifying once the file or key changes", async (t) => {
+  const dir = makeDir(t);
+  const appDir = await makeApp(dir, "sword", SWORD_FILES);
+  const { path: hypPath } = await packApp(appDir, {
+    output: path.join(dir, "sword.hyp"),
+    globalAssets: path.join(dir, "assets"),
+  });
+
+  const keyPair = () =>
+    generateKeyPairSync("ed25519", {
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+      publicKeyEncoding: { type: "spki", format: "pem" },
+    });
+  const { privateKey, publicKey } = keyPair();
+
+  const signature = await signHypFile(hypPath, privateKey, "tester");
+  assert.equal(signature.signer, "tester");
+  assert.equal(signature.publicKey, publicKey);
+  assert.deepEqual(await verifyHypSignature(hypPath, signature, publicKey), {
+    valid: true,
+    reason: null,
+  });
+
+  const otherKey = keyPair().publicKey;
+  const wrongKey = await verifyHypSignature(hypPath, signature, otherKey);
+  assert.equal(wrongKey.valid, false);
+  assert.match(wrongKey.reason, /not made with the given key/);
+
+  const buffer = fs.readFileSync(hypPath);
+  buffer[buffer.length - 1] ^= 1;
+  fs.writeFileSync(hypPath, buffer);
+  const tampered = await verifyHypSignature(hypPath, signature, publicKey);
+  assert.equal(tampered.valid, false);
+  assert.match(tampered.reason, /changed since it was signed/);
+});
+
+test("bundles store shared assets once and unbundle each app", async (t) => {
+  const dir = makeDir(t);
+  const model = SWORD_FILES["sword.glb"];
+  const appDirs = [
+    await makeApp(dir, "sword", SWORD_FILES),
+    await makeApp(dir, "axe", { "axe.js": "app;", "blade.glb": model }),
+  ];
+  const bundlePath = path.join(dir, "kit.hypkit");
+  const bundle = await bundleDirectories(
+    appDirs,
+    bundlePath,
+    path.join(dir, "assets")
+  );
+  assert.deepEqual(bundle.apps, ["sword", "axe"]);
+  assert.equal(bundle.assetCount, 3);
+
+  const { errors, bundle: isBundle } = await verifyHypFile(bundlePath);
+  assert.deepEqual(errors, []);
+  assert.equal(isBundle, true);
+
+  const globalAssets = path.join(dir, "extracted-assets");
+  const apps = await unbundleHypKit(
+    bundlePath,
+    path.join(dir, "out"),
+    globalAssets
+  );
+  assert.deepEqual(
+    apps.map((app) => app.name),
+    ["sword", "axe"]
+  );
+  const [sword, axe] = apps.map((app) =>
+    JSON.parse(fs.readFileSync(path.join(app.dir, "blueprint.json"), "utf8"))
+  );
+  assert.equal(sword.props.sword.url, axe.props.blade.url);
+  assert.equal(fs.readdirSync(globalAssets).length, 3);
+  assert.equal(
+    fs.readFileSync(
+      path.join(globalAssets, sword.props.sword.url.slice("asset://".length)),
+      "latin1"
+    ),
+    model
+  );
+
+  // Unbundling one app only extracts the assets it references
+  const axeOnly = path.join(dir, "axe-assets");
+  await unbundleHypKit(bundlePath, path.join(dir, "axe-out"), axeOnly, {
+    names: ["axe"],
+  });
+  assert.equal(fs.readdirSync(axeOnly).length, 2);
+  assert.ok(!fs.existsSync(path.join(dir, "axe-out", "sword")));
+});
+
+test("extracting as source drops the build banner and wrapper", async (t) => {
+  const scripts = [
+    [
+      `${SCRIPT_BANNER}\n(function () {\n\t'use strict';\n\n\tapp;\n\tconst s = \`a\n\tb\`;\n})();\n`,
+      "app;\nconst s = `a\n\tb`;\n",
+    ],
+    // Minified by builds that let terser merge the banner into the bundle
+    ["props,function(){app}();", "app\n"],
+    // Scripts that aren't wrapped are kept as they are
+    [
+      `${SCRIPT_BANNER}\napp.on("update", f);\nf();\n`,
+      'app.on("update", f);\nf();\n',
+    ],
+  ];
+
+  for (const [built, expected] of scripts) {
+    const dir = makeDir(t);
+    const appDir = await makeApp(dir, "sword", { "sword.js": built });
+    const { path: hypPath } = await packApp(appDir, {
+      output: path.join(dir, "sword.hyp"),
+      globalAssets: path.join(dir, "assets"),
+    });
+
+    const { source } = await extractHyp(hypPath, {
+      asSource: true,
+      appsDir: path.join(dir, "apps"),
+      namedAssets: path.join(dir, "named-assets"),
+    });
+    const code = fs.readFileSync(source, "utf8");
+    assert.ok(code.endsWith(`;\n\n${expected}`), code);
+    assert.doesNotThrow(() => parseAst(code));
+  }
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+import { HYPERFY_GLOBALS } from "../rollupSandboxPlugin.js";
+import { TYPES_PACKAGE } from "../checkTypes.js";
+import { loadTypeScript } from "../rollupTypeScriptPlugin.js";
+
+const require = createRequire(import.meta.url);
+
+// Names declared at the top level of the script globals' declaration files
+function readDeclaredGlobals() {
+  const ts = loadTypeScript();
+  const dir = path.dirname(require.resolve(`${TYPES_PACKAGE}/index.d.ts`));
+  const names = new Set();
+
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".d.ts"))) {
+    const source = ts.createSourceFile(
+      file,
+      fs.readFileSync(path.join(dir, file), "utf8"),
+      ts.ScriptTarget.ES2020
+    );
+    for (const statement of source.statements) {
+      if (ts.isVariableStatement(statement)) {
+        for (const declaration of statement.declarationList.declarations) {
+          names.add(declaration.name.getText(source));
+        }
+      } else if (
+        ts.isFunctionDeclaration(statement) ||
+        ts.isClassDeclaration(statement)
+      ) {
+        names.add(statement.name.getText(source));
+      }
+    }
+  }
+  return names;
+}
+
+// `apps check` and the build's sandbox check must agree on the script surface
+test("the sandbox allows exactly the globals hyperfy-types declares", () => {
+  assert.deepEqual(
+    [...readDeclaredGlobals()].sort(),
+    [...HYPERFY_GLOBALS].sort()
+  );
+});
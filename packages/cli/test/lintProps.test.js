@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { readConfigureFields } from "../lintProps.js";
+
+test("configure calls are found through aliased imports", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyp-lint-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "shared"));
+  fs.writeFileSync(
+    path.join(dir, "shared/fields.js"),
+    `app.configure([{ key: "speed", type: "number", initial: 2 }]);\n`
+  );
+  fs.writeFileSync(
+    path.join(dir, "app.js"),
+    `import "@hyp/fields";\nimport "lodash";\n`
+  );
+
+  const aliases = { "@hyp": path.join(dir, "shared") };
+  const { fields, problems } = readConfigureFields(
+    path.join(dir, "app.js"),
+    aliases
+  );
+  assert.deepEqual(problems, []);
+  assert.deepEqual(
+    fields.map(({ key, type, initial }) => ({ key, type, initial })),
+    [{ key: "speed", type: "number", initial: 2 }]
+  );
+
+  assert.deepEqual(readConfigureFields(path.join(dir, "app.js")).fields, []);
+});
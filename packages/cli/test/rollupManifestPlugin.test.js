@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import manifestPlugin, {
+  ManifestError,
+  extractManifest,
+} from "../rollupManifestPlugin.js";
+import { decodeMappings, originalPositionFor } from "../sourceMaps.js";
+
+// The error extractManifest throws for a script
+function manifestError(code) {
+  try {
+    extractManifest(code, "app.js");
+  } catch (error) {
+    return error;
+  }
+  assert.fail("Expected the manifest to be rejected");
+}
+
+test("braces inside strings don't end the manifest", () => {
+  const declaration = `const manifest = {
+  name: "Sword } of {",
+  description: '{{ not a block',
+  template: \`}\`,
+};`;
+  const code = `${declaration}\napp.on("update", () => {});\n`;
+
+  const { manifest, start, end } = extractManifest(code, "app.js");
+  assert.deepEqual(manifest, {
+    name: "Sword } of {",
+    description: "{{ not a block",
+    template: "}",
+  });
+  assert.equal(code.slice(start, end), declaration);
+});
+
+test("exported manifests are extracted with their export", () => {
+  const code = `import { x } from "./x.js";\nexport const manifest = { name: "Sword", props: { damage: { type: "number", value: -5 } } };\nx();\n`;
+
+  const { manifest, start, end } = extractManifest(code, "app.js");
+  assert.deepEqual(manifest, {
+    name: "Sword",
+    props: { damage: { type: "number", value: -5 } },
+  });
+  assert.match(code.slice(start, end), /^export const manifest = \{.*\};$/);
+});
+
+test("scripts without a manifest declaration have none", () => {
+  assert.equal(extractManifest(`app.on("update", () => {});`, "app.js"), null);
+  assert.equal(
+    extractManifest(`function f() { const manifest = {}; }`, "app.js"),
+    null
+  );
+});
+
+test("values that need code to run are rejected at their position", () => {
+  const cases = [
+    [`const manifest = {\n  name: getName(),\n};`, 2, 9, /CallExpression/],
+    [`const manifest = {\n  name,\n};`, 2, 3, /Shorthand property 'name'/],
+    [`const manifest = {\n  ...base,\n};`, 2, 3, /Spread properties/],
+    [`const manifest = {\n  [key]: 1,\n};`, 2, 4, /Computed property keys/],
+    [
+      `const manifest = {\n  name: \`Sword \${n}\`,\n};`,
+      2,
+      18,
+      /\$\{\} expressions/,
+    ],
+    [`const manifest = {\n  size: 1 + 1,\n};`, 2, 9, /BinaryExpression/],
+    [`const manifest = makeManifest();`, 1, 18, /must be an object literal/],
+  ];
+
+  for (const [code, line, column, message] of cases) {
+    const error = manifestError(code);
+    assert.ok(error instanceof ManifestError, code);
+    assert.deepEqual(error.loc, { file: "app.js", line, column }, code);
+    assert.ok(error.message.startsWith(`app.js:${line}:${column}: `), code);
+    assert.match(error.message, message);
+  }
+});
+
+test("code after a removed manifest maps back to its source position", () => {
+  const code = `const manifest = { name: "Sword", props: {} }; app.on("update", f);\n`;
+  const emitted = [];
+  const context = {
+    emitFile: (file) => emitted.push(file),
+    error: (message) => assert.fail(message),
+  };
+
+  const result = manifestPlugin().transform.call(context, code, "app.js");
+  assert.equal(emitted[0].fileName, "blueprint.json");
+  assert.equal(result.code, ` app.on("update", f);\n`);
+
+  const sourceMap = {
+    ...result.map,
+    lines: decodeMappings(result.map.mappings),
+  };
+  const column = result.code.indexOf("app.on") + 1;
+  const original = originalPositionFor(sourceMap, 1, column);
+  assert.equal(original.line, 1);
+  assert.equal(original.column, code.indexOf("app.on") + 1);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAst } from "rollup/parseAst";
+
+import {
+  SANDBOX_GLOBALS,
+  findSandboxViolations,
+} from "../rollupSandboxPlugin.js";
+
+// Names of the sandbox violations found in a module's source
+function violations(code) {
+  return findSandboxViolations(parseAst(code), SANDBOX_GLOBALS).map(
+    (violation) => violation.name
+  );
+}
+
+test("re-exported names are not references", () => {
+  assert.deepEqual(violations(`export { pick } from "./util.js";`), []);
+  assert.deepEqual(violations(`export { Thing as Other } from "./x.js";`), []);
+  assert.deepEqual(violations(`export * as ns from "./x.js";`), []);
+  assert.deepEqual(violations(`export * from "./x.js";`), []);
+});
+
+test("exporting an undeclared local name is a reference", () => {
+  assert.deepEqual(violations(`export { fetch };`), ["fetch"]);
+});
+
+test("globals outside the sandbox are reported", () => {
+  assert.deepEqual(
+    violations(`const a = setTimeout(() => {}); eval("1"); import("./x.js");`),
+    ["setTimeout", "eval", "import()"]
+  );
+});
+
+test("declared names, properties and typeof checks are allowed", () => {
+  assert.deepEqual(
+    violations(
+      `const fetch = () => {}; fetch(); app.setTimeout = 1; if (typeof window !== "undefined") {}`
+    ),
+    []
+  );
+});
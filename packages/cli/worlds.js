@@ -6,6 +6,8 @@ import fs from "fs";
 import path from "path";
 import { table } from "table";
 import crypto from "crypto";
+import { getAssetFileName, rewriteAssetRefs } from "./assetRefs.js";
+import { applyConfig, loadConfig } from "./config.js";
 
 // Database connection function
 let db;
@@ -88,7 +90,25 @@ const program = new Command();
 program
   .name("world-cli")
   .description("World database management CLI tool")
-  .version("1.0.0");
+  .version("1.0.0")
+  .option(
+    "--config <file>",
+    "Project config file (default: the closest hyp.config.js or hyp.config.json)"
+  );
+
+// Take the database path and global assets directory from the project config
+// when not given on the command line
+program.hook("preAction", async (_, command) => {
+  let config;
+  try {
+    config = await loadConfig(program.opts().config);
+  } catch (error) {
+    console.error(chalk.red(`Error reading config: ${error.message}`));
+    process.exit(1);
+  }
+
+  applyConfig(command, { path: config.dbPath, assets: config.globalAssets });
+});
 
 // ============ Unpack Command ============
 program
@@ -394,100 +414,31 @@ async function extractBlueprints(
       ...data,
     };
 
-    // Extract assets from the blueprint
-    // Handle model asset
-    if (fullBlueprint.model?.startsWith("asset://")) {
-      const assetFile = fullBlueprint.model.replace("asset://", "");
-      const sourcePath = path.join(sourceAssetsDir, assetFile);
-
-      // Store asset in global assets folder
-      const assetInfo = storeAsset(sourcePath, globalAssetsDir, verbose);
-      if (assetInfo) {
-        assets.push({
-          ...assetInfo,
-          usedIn: {
-            type: "blueprint",
-            id: blueprint.id,
-            field: "model",
-          },
-        });
-
-        // Update blueprint reference to use the new asset path
-        fullBlueprint.model = `asset://${assetInfo.filename}`;
-      }
-    }
-
-    // Handle script asset
-    if (fullBlueprint.script?.startsWith("asset://")) {
-      const assetFile = fullBlueprint.script.replace("asset://", "");
-      const sourcePath = path.join(sourceAssetsDir, assetFile);
-
-      // Store asset in global assets folder
-      const assetInfo = storeAsset(sourcePath, globalAssetsDir, verbose);
-      if (assetInfo) {
-        assets.push({
-          ...assetInfo,
-          usedIn: {
-            type: "blueprint",
-            id: blueprint.id,
-            field: "script",
-          },
-        });
-
-        // Update blueprint reference to use the new asset path
-        fullBlueprint.script = `asset://${assetInfo.filename}`;
-      }
-    }
-
-    // Handle image asset
-    if (fullBlueprint.image?.url?.startsWith("asset://")) {
-      const assetFile = fullBlueprint.image.url.replace("asset://", "");
-      const sourcePath = path.join(sourceAssetsDir, assetFile);
+    // Extract every asset referenced anywhere in the blueprint and update
+    // references to use the new asset paths
+    const rewrittenBlueprint = rewriteAssetRefs(fullBlueprint, (url, ref) => {
+      const sourcePath = path.join(sourceAssetsDir, getAssetFileName(url));
 
       // Store asset in global assets folder
       const assetInfo = storeAsset(sourcePath, globalAssetsDir, verbose);
-      if (assetInfo) {
-        assets.push({
-          ...assetInfo,
-          usedIn: {
-            type: "blueprint",
-            id: blueprint.id,
-            field: "image.url",
-          },
-        });
-
-        // Update blueprint reference to use the new asset path
-        fullBlueprint.image.url = `asset://${assetInfo.filename}`;
-      }
-    }
-
-    // Handle props assets
-    for (const key in fullBlueprint.props || {}) {
-      const prop = fullBlueprint.props[key];
-      if (prop?.url?.startsWith("asset://")) {
-        const assetFile = prop.url.replace("asset://", "");
-        const sourcePath = path.join(sourceAssetsDir, assetFile);
-
-        // Store asset in global assets folder
-        const assetInfo = storeAsset(sourcePath, globalAssetsDir, verbose);
-        if (assetInfo) {
-          assets.push({
-            ...assetInfo,
-            usedIn: {
-              type: "blueprint",
-              id: blueprint.id,
-              field: `props.${key}.url`,
-            },
-          });
-
-          // Update blueprint reference to use the new asset path
-          fullBlueprint.props[key].url = `asset://${assetInfo.filename}`;
-        }
-      }
-    }
+      if (!assetInfo) return undefined;
+
+      assets.push({
+        ...assetInfo,
+        usedIn: {
+          type: "blueprint",
+          id: blueprint.id,
+          field: ref.field,
+        },
+      });
+      return `asset://${assetInfo.filename}`;
+    });
 
     const blueprintPath = path.join(outputDir, `${blueprint.id}.json`);
-    fs.writeFileSync(blueprintPath, JSON.stringify(fullBlueprint, null, 2));
+    fs.writeFileSync(
+      blueprintPath,
+      JSON.stringify(rewrittenBlueprint, null, 2)
+    );
 
     if (verbose) {
       console.log(
@@ -851,43 +802,15 @@ async function importBlueprints(db, inputDir, assets, verbose) {
     // Extract metadata fields
     const { id, createdAt, updatedAt } = fullBlueprint;
 
-    // Create a copy for rewriting asset references back to original filenames
-    const blueprintCopy = { ...fullBlueprint };
-    delete blueprintCopy.createdAt;
-    delete blueprintCopy.updatedAt;
-
-    // Rewrite asset references
-    if (blueprintCopy.model?.startsWith("asset://")) {
-      const hashedFile = blueprintCopy.model.replace("asset://", "");
-      if (assetMap[hashedFile]) {
-        blueprintCopy.model = `asset://${assetMap[hashedFile]}`;
-      }
-    }
-
-    if (blueprintCopy.script?.startsWith("asset://")) {
-      const hashedFile = blueprintCopy.script.replace("asset://", "");
+    // Create a copy with asset references rewritten back to original filenames
+    const blueprintCopy = rewriteAssetRefs(fullBlueprint, (url) => {
+      const hashedFile = getAssetFileName(url);
       if (assetMap[hashedFile]) {
-        blueprintCopy.script = `asset://${assetMap[hashedFile]}`;
+        return `asset://${assetMap[hashedFile]}`;
       }
-    }
-
-    if (blueprintCopy.image?.url?.startsWith("asset://")) {
-      const hashedFile = blueprintCopy.image.url.replace("asset://", "");
-      if (assetMap[hashedFile]) {
-        blueprintCopy.image.url = `asset://${assetMap[hashedFile]}`;
-      }
-    }
-
-    // Handle props assets
-    for (const key in blueprintCopy.props || {}) {
-      const prop = blueprintCopy.props[key];
-      if (prop?.url?.startsWith("asset://")) {
-        const hashedFile = prop.url.replace("asset://", "");
-        if (assetMap[hashedFile]) {
-          blueprintCopy.props[key].url = `asset://${assetMap[hashedFile]}`;
-        }
-      }
-    }
+    });
+    delete blueprintCopy.createdAt;
+    delete blueprintCopy.updatedAt;
 
     // Insert blueprint
     await db("blueprints").insert({
@@ -1214,7 +1137,7 @@ async function showDbStatus(dbPath) {
 }
 
 // Parse arguments and execute
-program.parse(process.argv);
+program.parseAsync(process.argv);
 
 // Default behavior if no command specified
 if (!process.argv.slice(2).length) {
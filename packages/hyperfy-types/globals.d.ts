@@ -0,0 +1,37 @@
+// Globals available to app scripts. Scripts run in a sandbox, so nothing else
+// from the browser or Node is defined. This is the whole script surface, and
+// `apps build` rejects any other global with the same list. Network and timer
+// APIs such as fetch and setTimeout are deliberately left out: forks whose
+// runtime provides them allow them per fork in forks.json
+
+/** The app running this script */
+declare const app: AppProxy;
+
+/** The world the app runs in */
+declare const world: WorldProxy;
+
+/** The app's props. Scripts may reassign it, e.g. with props synced from state */
+declare let props: Props;
+
+/** Random number between min and max (inclusive), rounded to dp decimal places */
+declare function num(min: number, max: number, dp?: number): number;
+
+/** Seeded random number generator returning values like num */
+declare function prng(
+  seed: number
+): (min: number, max: number, dp?: number) => number;
+
+declare function uuid(): string;
+declare function clamp(n: number, low: number, high: number): number;
+
+declare const DEG2RAD: number;
+declare const RAD2DEG: number;
+
+interface Console {
+  log(...data: any[]): void;
+  warn(...data: any[]): void;
+  error(...data: any[]): void;
+  time(label?: string): void;
+  timeEnd(label?: string): void;
+}
+declare var console: Console;
@@ -0,0 +1,9 @@
+// Ambient declarations for Hyperfy app scripts. Reference them from a script
+// with `/// <reference types="@repo/hyperfy-types" />`, or list the package
+// in a tsconfig's "types", and the script globals (app, world, props, num,
+// Vector3, ...) are typed without being imported
+
+/// <reference path="./math.d.ts" />
+/// <reference path="./nodes.d.ts" />
+/// <reference path="./proxies.d.ts" />
+/// <reference path="./globals.d.ts" />
@@ -0,0 +1,206 @@
+// Math classes exposed to app scripts. These are the three.js classes the
+// engine uses internally, declared here without depending on three's types
+
+type Vector3Tuple = [number, number, number];
+type QuaternionTuple = [number, number, number, number];
+type EulerOrder = "XYZ" | "YXZ" | "ZXY" | "ZYX" | "YZX" | "XZY";
+
+declare class Vector3 {
+  constructor(x?: number, y?: number, z?: number);
+  x: number;
+  y: number;
+  z: number;
+  readonly isVector3: true;
+
+  set(x: number, y: number, z: number): this;
+  setScalar(scalar: number): this;
+  setX(x: number): this;
+  setY(y: number): this;
+  setZ(z: number): this;
+  clone(): Vector3;
+  copy(v: Vector3): this;
+
+  add(v: Vector3): this;
+  addScalar(s: number): this;
+  addVectors(a: Vector3, b: Vector3): this;
+  addScaledVector(v: Vector3, s: number): this;
+  sub(v: Vector3): this;
+  subScalar(s: number): this;
+  subVectors(a: Vector3, b: Vector3): this;
+  multiply(v: Vector3): this;
+  multiplyScalar(scalar: number): this;
+  multiplyVectors(a: Vector3, b: Vector3): this;
+  divide(v: Vector3): this;
+  divideScalar(scalar: number): this;
+  negate(): this;
+
+  applyEuler(euler: Euler): this;
+  applyAxisAngle(axis: Vector3, angle: number): this;
+  applyMatrix4(m: Matrix4): this;
+  applyQuaternion(q: Quaternion): this;
+  transformDirection(m: Matrix4): this;
+
+  min(v: Vector3): this;
+  max(v: Vector3): this;
+  clamp(min: Vector3, max: Vector3): this;
+  clampLength(min: number, max: number): this;
+  floor(): this;
+  ceil(): this;
+  round(): this;
+
+  dot(v: Vector3): number;
+  cross(v: Vector3): this;
+  crossVectors(a: Vector3, b: Vector3): this;
+  length(): number;
+  lengthSq(): number;
+  manhattanLength(): number;
+  normalize(): this;
+  setLength(length: number): this;
+  angleTo(v: Vector3): number;
+  distanceTo(v: Vector3): number;
+  distanceToSquared(v: Vector3): number;
+  projectOnVector(v: Vector3): this;
+  projectOnPlane(planeNormal: Vector3): this;
+  reflect(normal: Vector3): this;
+
+  lerp(v: Vector3, alpha: number): this;
+  lerpVectors(v1: Vector3, v2: Vector3, alpha: number): this;
+
+  setFromMatrixPosition(m: Matrix4): this;
+  setFromMatrixScale(m: Matrix4): this;
+  setFromMatrixColumn(m: Matrix4, index: number): this;
+  setFromEuler(e: Euler): this;
+
+  equals(v: Vector3): boolean;
+  fromArray(array: ArrayLike<number>, offset?: number): this;
+  toArray(array?: number[], offset?: number): Vector3Tuple;
+}
+
+declare class Quaternion {
+  constructor(x?: number, y?: number, z?: number, w?: number);
+  x: number;
+  y: number;
+  z: number;
+  w: number;
+  readonly isQuaternion: true;
+
+  set(x: number, y: number, z: number, w: number): this;
+  clone(): Quaternion;
+  copy(q: Quaternion): this;
+  identity(): this;
+
+  setFromEuler(euler: Euler): this;
+  setFromAxisAngle(axis: Vector3, angle: number): this;
+  setFromRotationMatrix(m: Matrix4): this;
+  setFromUnitVectors(vFrom: Vector3, vTo: Vector3): this;
+
+  angleTo(q: Quaternion): number;
+  rotateTowards(q: Quaternion, step: number): this;
+  invert(): this;
+  conjugate(): this;
+  dot(q: Quaternion): number;
+  length(): number;
+  lengthSq(): number;
+  normalize(): this;
+  multiply(q: Quaternion): this;
+  premultiply(q: Quaternion): this;
+  multiplyQuaternions(a: Quaternion, b: Quaternion): this;
+  slerp(q: Quaternion, t: number): this;
+  slerpQuaternions(qa: Quaternion, qb: Quaternion, t: number): this;
+
+  equals(q: Quaternion): boolean;
+  fromArray(array: ArrayLike<number>, offset?: number): this;
+  toArray(array?: number[], offset?: number): QuaternionTuple;
+}
+
+declare class Euler {
+  constructor(x?: number, y?: number, z?: number, order?: EulerOrder);
+  x: number;
+  y: number;
+  z: number;
+  order: EulerOrder;
+  readonly isEuler: true;
+
+  set(x: number, y: number, z: number, order?: EulerOrder): this;
+  clone(): Euler;
+  copy(euler: Euler): this;
+
+  setFromQuaternion(q: Quaternion, order?: EulerOrder): this;
+  setFromRotationMatrix(m: Matrix4, order?: EulerOrder): this;
+  setFromVector3(v: Vector3, order?: EulerOrder): this;
+  reorder(newOrder: EulerOrder): this;
+
+  equals(euler: Euler): boolean;
+  fromArray(array: [number, number, number, EulerOrder?]): this;
+  toArray(array?: any[], offset?: number): [number, number, number, EulerOrder];
+}
+
+declare class Matrix4 {
+  constructor();
+  elements: number[];
+  readonly isMatrix4: true;
+
+  set(...elements: number[]): this;
+  identity(): this;
+  clone(): Matrix4;
+  copy(m: Matrix4): this;
+  copyPosition(m: Matrix4): this;
+
+  compose(position: Vector3, quaternion: Quaternion, scale: Vector3): this;
+  decompose(position: Vector3, quaternion: Quaternion, scale: Vector3): this;
+  lookAt(eye: Vector3, target: Vector3, up: Vector3): this;
+  multiply(m: Matrix4): this;
+  premultiply(m: Matrix4): this;
+  multiplyMatrices(a: Matrix4, b: Matrix4): this;
+  multiplyScalar(s: number): this;
+  determinant(): number;
+  transpose(): this;
+  invert(): this;
+  scale(v: Vector3): this;
+  setPosition(x: Vector3 | number, y?: number, z?: number): this;
+
+  makeTranslation(x: number, y: number, z: number): this;
+  makeRotationX(theta: number): this;
+  makeRotationY(theta: number): this;
+  makeRotationZ(theta: number): this;
+  makeRotationAxis(axis: Vector3, angle: number): this;
+  makeRotationFromEuler(euler: Euler): this;
+  makeRotationFromQuaternion(q: Quaternion): this;
+  makeScale(x: number, y: number, z: number): this;
+
+  equals(m: Matrix4): boolean;
+  fromArray(array: ArrayLike<number>, offset?: number): this;
+  toArray(array?: number[], offset?: number): number[];
+}
+
+/**
+ * Smooths a networked Vector3 towards the latest received value. Values are
+ * expected `rate` seconds apart, matching the sender's send rate
+ */
+declare class LerpVector3 {
+  constructor(value: Vector3, rate: number);
+  value: Vector3;
+  rate: number;
+
+  push(value: Vector3, snap?: boolean): this;
+  pushArray(value: ArrayLike<number>, snap?: boolean): this;
+  update(delta: number): this;
+  snap(): void;
+  clear(): void;
+}
+
+/**
+ * Smooths a networked Quaternion towards the latest received value, like
+ * LerpVector3
+ */
+declare class LerpQuaternion {
+  constructor(value: Quaternion, rate: number);
+  value: Quaternion;
+  rate: number;
+
+  push(value: Quaternion, snap?: boolean): this;
+  pushArray(value: ArrayLike<number>, snap?: boolean): this;
+  update(delta: number): this;
+  snap(): void;
+  clear(): void;
+}
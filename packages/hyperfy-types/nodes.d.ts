@@ -0,0 +1,258 @@
+// Nodes making up an app's scene graph: the nodes of its model, fetched with
+// app.get, and the nodes it creates with app.create. They live in the
+// Hyperfy namespace so they don't collide with DOM types of the same name
+
+declare namespace Hyperfy {
+  interface PointerEvent {
+    playerId: string;
+    point: Vector3;
+    normal: Vector3;
+    distance: number;
+  }
+
+  interface Node {
+    readonly id: string;
+    name: string;
+    active: boolean;
+    position: Vector3;
+    quaternion: Quaternion;
+    rotation: Euler;
+    scale: Vector3;
+    readonly matrixWorld: Matrix4;
+    readonly parent: Node | null;
+    readonly children: Node[];
+
+    add(node: Node): this;
+    remove(node: Node): this;
+    clone(recursive?: boolean): this;
+    traverse(callback: (node: Node) => void): void;
+
+    cursor?: string;
+    onPointerEnter?: (event: PointerEvent) => void;
+    onPointerLeave?: (event: PointerEvent) => void;
+    onPointerDown?: (event: PointerEvent) => void;
+    onPointerUp?: (event: PointerEvent) => void;
+  }
+
+  /** A node whose type isn't known statically, such as one from app.get */
+  type AnyNode = Node & { [key: string]: any };
+
+  interface Group extends Node {}
+
+  interface Mesh extends Node {
+    type: "box" | "sphere" | "geometry";
+    width: number;
+    height: number;
+    depth: number;
+    radius: number;
+    castShadow: boolean;
+    receiveShadow: boolean;
+    visible: boolean;
+  }
+
+  interface Avatar extends Node {
+    src: string;
+    emote: string | null;
+    setEmote(url: string | null): void;
+    getHeight(): number | null;
+    getBoneTransform(boneName: string): Matrix4 | null;
+  }
+
+  interface Action extends Node {
+    label: string;
+    distance: number;
+    duration: number;
+    onStart?: (event: { playerId: string }) => void;
+    onTrigger?: (event: { playerId: string }) => void;
+    onCancel?: (event: { playerId: string }) => void;
+  }
+
+  interface Audio extends Node {
+    src: string | null;
+    volume: number;
+    loop: boolean;
+    group: "music" | "sfx";
+    spatial: boolean;
+    readonly isPlaying: boolean;
+    currentTime: number;
+    play(restartIfPlaying?: boolean): void;
+    pause(): void;
+    stop(): void;
+  }
+
+  interface Collider extends Node {
+    type: "box" | "sphere" | "geometry";
+    width: number;
+    height: number;
+    depth: number;
+    radius: number;
+    convex: boolean;
+    trigger: boolean;
+    layer: "environment" | "prop" | "player" | "tool";
+    staticFriction: number;
+    dynamicFriction: number;
+    restitution: number;
+  }
+
+  interface ContactEvent {
+    tag: string | null;
+    playerId: string | null;
+  }
+
+  interface RigidBody extends Node {
+    type: "static" | "kinematic" | "dynamic";
+    mass: number;
+    tag: string | null;
+    readonly sleeping: boolean;
+    onContactStart?: (event: ContactEvent) => void;
+    onContactEnd?: (event: ContactEvent) => void;
+    onTriggerEnter?: (event: ContactEvent) => void;
+    onTriggerLeave?: (event: ContactEvent) => void;
+    addForce(force: Vector3, mode?: string): void;
+    addTorque(torque: Vector3, mode?: string): void;
+    getPosition(vec3?: Vector3): Vector3;
+    setPosition(vec3: Vector3): void;
+    getQuaternion(quat?: Quaternion): Quaternion;
+    setQuaternion(quat: Quaternion): void;
+    getLinearVelocity(vec3?: Vector3): Vector3;
+    setLinearVelocity(vec3: Vector3): void;
+    getAngularVelocity(vec3?: Vector3): Vector3;
+    setAngularVelocity(vec3: Vector3): void;
+  }
+
+  /** Flexbox layout properties shared by UI nodes */
+  interface UILayout {
+    display: "flex" | "none";
+    width: number | null;
+    height: number | null;
+    backgroundColor: string | null;
+    borderWidth: number;
+    borderColor: string | null;
+    borderRadius: number;
+    margin: number | number[];
+    padding: number | number[];
+    flexDirection: "column" | "column-reverse" | "row" | "row-reverse";
+    justifyContent:
+      | "flex-start"
+      | "flex-end"
+      | "center"
+      | "space-between"
+      | "space-around"
+      | "space-evenly";
+    alignItems: "stretch" | "flex-start" | "flex-end" | "center" | "baseline";
+    alignContent: "flex-start" | "flex-end" | "stretch" | "center";
+    flexWrap: "no-wrap" | "wrap";
+    gap: number;
+    flexBasis: number | "auto";
+    flexGrow: number;
+    flexShrink: number;
+  }
+
+  interface UI extends Node, UILayout {
+    size: number;
+    res: number;
+    lit: boolean;
+    doubleside: boolean;
+    billboard: "none" | "full" | "y";
+    pivot:
+      | "top-left"
+      | "top-center"
+      | "top-right"
+      | "center-left"
+      | "center"
+      | "center-right"
+      | "bottom-left"
+      | "bottom-center"
+      | "bottom-right";
+  }
+
+  interface UIView extends Node, UILayout {}
+
+  interface UIText extends Node, UILayout {
+    value: string;
+    fontSize: number;
+    color: string;
+    lineHeight: number;
+    textAlign: "left" | "center" | "right";
+    fontFamily: string;
+    fontWeight: number | string;
+  }
+
+  interface UIImage extends Node, UILayout {
+    src: string | null;
+    objectFit: "contain" | "cover" | "fill";
+  }
+
+  interface Image extends Node {
+    src: string | null;
+    width: number | null;
+    height: number | null;
+    fit: "none" | "cover" | "contain";
+    color: string;
+    lit: boolean;
+    doubleside: boolean;
+    castShadow: boolean;
+    receiveShadow: boolean;
+  }
+
+  interface Video extends Node {
+    src: string | null;
+    width: number | null;
+    height: number | null;
+    loop: boolean;
+    volume: number;
+    readonly isPlaying: boolean;
+    currentTime: number;
+    play(): void;
+    pause(): void;
+    stop(): void;
+  }
+
+  interface Sky extends Node {
+    bg: string | null;
+    hdr: string | null;
+    sunDirection: Vector3 | null;
+    sunIntensity: number | null;
+  }
+
+  interface Anchor extends Node {
+    readonly anchorId: string;
+  }
+
+  interface LOD extends Node {
+    insert(node: Node, maxDistance: number): void;
+  }
+
+  interface Controller extends Node {
+    radius: number;
+    height: number;
+    visible: boolean;
+    layer: string;
+    tag: string | null;
+    readonly isGrounded: boolean;
+    readonly isCeiling: boolean;
+    teleport(position: Vector3): void;
+    move(delta: Vector3): void;
+  }
+
+  /** Node types accepted by app.create */
+  interface NodeTypes {
+    group: Group;
+    mesh: Mesh;
+    avatar: Avatar;
+    action: Action;
+    audio: Audio;
+    collider: Collider;
+    rigidbody: RigidBody;
+    ui: UI;
+    uiview: UIView;
+    uitext: UIText;
+    uiimage: UIImage;
+    image: Image;
+    video: Video;
+    sky: Sky;
+    anchor: Anchor;
+    lod: LOD;
+    controller: Controller;
+  }
+}
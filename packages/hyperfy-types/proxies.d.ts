@@ -0,0 +1,272 @@
+// The app, world and player objects scripts interact with
+
+/** Values of an app's props, keyed by the field keys passed to app.configure */
+interface Props {
+  [key: string]: any;
+}
+
+/** A file prop's value, as set by a configure field of type 'file' */
+interface FileProp {
+  type: string;
+  name: string;
+  url: string;
+}
+
+type ConfigureFieldType =
+  | "section"
+  | "text"
+  | "textarea"
+  | "number"
+  | "range"
+  | "toggle"
+  | "switch"
+  | "dropdown"
+  | "color"
+  | "file"
+  | "button";
+
+interface ConfigureOption {
+  label: string;
+  value: any;
+}
+
+/** A field in the app's configure panel, editing the prop named by its key */
+interface ConfigureField {
+  key: string;
+  type: ConfigureFieldType;
+  label?: string;
+  hint?: string;
+  initial?: any;
+  placeholder?: string;
+  /** Options of switch and dropdown fields */
+  options?: ConfigureOption[];
+  /** Asset kind accepted by file fields, e.g. 'emote', 'avatar' or 'audio' */
+  kind?: string;
+  min?: number;
+  max?: number;
+  step?: number;
+  dp?: number;
+  /** Called when a button field is pressed */
+  onClick?: () => void;
+  /** Hides the field unless this returns true */
+  when?: (props: Props) => boolean;
+}
+
+/** Per-frame events emitted on the app, called with the frame's delta time */
+type UpdateEvent = "update" | "fixedUpdate" | "lateUpdate";
+
+interface ButtonState {
+  readonly down: boolean;
+  readonly pressed: boolean;
+  readonly released: boolean;
+  capture: boolean;
+  onPress?: () => boolean | void;
+  onRelease?: () => boolean | void;
+}
+
+type Letter =
+  | "A"
+  | "B"
+  | "C"
+  | "D"
+  | "E"
+  | "F"
+  | "G"
+  | "H"
+  | "I"
+  | "J"
+  | "K"
+  | "L"
+  | "M"
+  | "N"
+  | "O"
+  | "P"
+  | "Q"
+  | "R"
+  | "S"
+  | "T"
+  | "U"
+  | "V"
+  | "W"
+  | "X"
+  | "Y"
+  | "Z";
+type Digit = "0" | "1" | "2" | "3" | "4" | "5" | "6" | "7" | "8" | "9";
+
+type ControlButton =
+  | `key${Letter}`
+  | `digit${Digit}`
+  | "arrowUp"
+  | "arrowDown"
+  | "arrowLeft"
+  | "arrowRight"
+  | "space"
+  | "shiftLeft"
+  | "shiftRight"
+  | "controlLeft"
+  | "tab"
+  | "enter"
+  | "escape"
+  | "mouseLeft"
+  | "mouseRight";
+
+/** Input and camera control granted by app.control, until released */
+interface Control extends Record<ControlButton, ButtonState> {
+  readonly scrollDelta: { value: number; capture: boolean };
+  readonly pointer: {
+    readonly coords: Vector3;
+    readonly position: Vector3;
+    readonly delta: Vector3;
+    readonly locked: boolean;
+    lock(): void;
+    unlock(): void;
+  };
+  readonly camera: {
+    position: Vector3;
+    quaternion: Quaternion;
+    rotation: Euler;
+    zoom: number;
+    write: boolean;
+  };
+  readonly screen: { readonly width: number; readonly height: number };
+  release(): void;
+}
+
+interface ControlOptions {
+  onPress?: (code: string) => boolean | void;
+  onRelease?: (code: string) => boolean | void;
+}
+
+/** The app running the script. It is also the root node of the app's model */
+interface AppProxy extends Hyperfy.Node {
+  readonly instanceId: string;
+  readonly version: number;
+  readonly modelUrl: string;
+  /** State shared with clients when they join, set up by the server */
+  state: any;
+  readonly props: Props;
+  /** @deprecated Same as props */
+  readonly config: Props;
+  /** Keep the app running while it is being moved in the editor */
+  keepActive: boolean;
+  /** Whether the app's physics bodies are asleep, having come to rest */
+  readonly sleeping: boolean;
+
+  on(name: UpdateEvent, callback: (delta: number) => void): void;
+  on(name: string, callback: (data: any) => void): void;
+  off(name: string, callback: (...args: any[]) => void): void;
+  /** Send an event to the same app on the server or every client */
+  send(name: string, data?: any, ignoreSocketId?: string): void;
+  /** Send an event from the server to one player's client */
+  sendTo(playerId: string, name: string, data?: any): void;
+  /** Emit an event to every app in the world on this side of the network */
+  emit(name: string, data?: any): void;
+
+  get<T extends Hyperfy.Node = Hyperfy.AnyNode>(id: string): T | null;
+  create<K extends keyof Hyperfy.NodeTypes>(
+    name: K,
+    data?: Partial<Hyperfy.NodeTypes[K]>
+  ): Hyperfy.NodeTypes[K];
+  control(options?: ControlOptions): Control;
+  configure(fields: ConfigureField[] | (() => ConfigureField[])): void;
+}
+
+interface PlayerEffect {
+  anchor?: Hyperfy.Anchor;
+  emote?: string;
+  snare?: number;
+  freeze?: boolean;
+  turn?: boolean;
+  duration?: number;
+  cancellable?: boolean;
+}
+
+/** A player in the world, as returned by world.getPlayer */
+interface PlayerProxy {
+  readonly networkId: string;
+  readonly entityId: string;
+  /** The user id of the player */
+  readonly id: string;
+  readonly name: string;
+  readonly local: boolean;
+  readonly admin: boolean;
+  readonly position: Vector3;
+  readonly rotation: Euler;
+  readonly quaternion: Quaternion;
+  readonly health: number;
+
+  teleport(position: Vector3, rotationY?: number): void;
+  getBoneTransform(boneName: string): Matrix4 | null;
+  setSessionAvatar(url: string): void;
+  damage(amount: number): void;
+  heal(amount: number): void;
+  applyEffect(effect: PlayerEffect): void;
+  hasEffect(): boolean;
+  cancelEffect(): void;
+  push(force: Vector3): void;
+}
+
+interface RaycastHit {
+  point: Vector3;
+  normal: Vector3;
+  distance: number;
+  tag: string | null;
+  playerId: string | null;
+  /** The player whose collider was hit, if any */
+  player?: PlayerProxy | null;
+}
+
+interface OverlapHit {
+  tag: string | null;
+  playerId: string | null;
+}
+
+/** Events emitted on the world when a player joins or leaves */
+interface PlayerEvent {
+  playerId: string;
+}
+
+/** The world the app runs in */
+interface WorldProxy {
+  readonly networkId: string;
+  readonly isServer: boolean;
+  readonly isClient: boolean;
+
+  add(node: Hyperfy.Node): void;
+  remove(node: Hyperfy.Node): void;
+  /** Add a node to the world, keeping its current world transform */
+  attach(node: Hyperfy.Node): void;
+
+  on(name: "enter" | "leave", callback: (event: PlayerEvent) => void): void;
+  on(name: string, callback: (data: any) => void): void;
+  off(name: string, callback: (...args: any[]) => void): void;
+  emit(name: string, data?: any): void;
+
+  /** Seconds since the world started, synchronized across the network */
+  getTime(): number;
+  getTimestamp(format?: string): string;
+  chat(msg: string, broadcast?: boolean): void;
+  /** Get a player by id, or the local player when called without one */
+  getPlayer(playerId?: string): PlayerProxy | null;
+  getPlayers(): PlayerProxy[];
+
+  createLayerMask(...groups: string[]): number;
+  raycast(
+    origin: Vector3,
+    direction: Vector3,
+    maxDistance?: number,
+    layerMask?: number | null
+  ): RaycastHit | null;
+  overlapSphere(
+    radius: number,
+    origin: Vector3,
+    layerMask?: number | null
+  ): OverlapHit[];
+
+  /** Read a value from the world's persistent storage (server only) */
+  get(key: string): any;
+  /** Write a value to the world's persistent storage (server only) */
+  set(key: string, value: any): void;
+  open(url: string, newWindow?: boolean): void;
+  load(type: string, url: string): Promise<Hyperfy.Node>;
+}